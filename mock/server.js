@@ -0,0 +1,303 @@
+// Stand-in for the GitHub REST API serving recorded fixtures, so that the application
+// can be developed and demoed offline. It is mounted into webpack-dev-server by
+// webpack.mock.js or runs on its own:
+//
+// Usage: yarn mock [port]
+//
+// Search results are paginated with Link headers and responses carry rate limit
+// headers. Authors named unauthorized and rate-limited get 401 and 403 responses,
+// so does the token "invalid". The author unavailable gets 503 responses and
+// searching for authors missing from the fixtures fails with 422 like on GitHub.
+
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+
+const fixtures = {
+    users: require(path.join(__dirname, 'fixtures', 'users.json')),
+    repositories: require(path.join(__dirname, 'fixtures', 'repositories.json')),
+    issues: require(path.join(__dirname, 'fixtures', 'issues.json')),
+};
+
+// Small pages, so that pagination is exercised with a few fixtures.
+const defaultPageSize = 10;
+
+const rateLimits = {
+    core: {limit: 5000, period: 60 * 60 * 1000},
+    search: {limit: 30, period: 60 * 1000},
+};
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-None-Match, If-Modified-Since',
+    'Access-Control-Expose-Headers': 'ETag, Link, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset',
+};
+
+function _equal(a, b) {
+    return a.toLowerCase() == b.toLowerCase();
+}
+
+// Parses qualifiers like type:pr, created:2018-01-01..* or negated ones like -author:octocat
+// of a search query.
+function _parseQuery(q) {
+    const qualifiers = {};
+    for (const term of q.split(/\s+/).filter(Boolean)) {
+        const index = term.indexOf(':');
+        if (index > 0) {
+            qualifiers[term.slice(0, index)] = term.slice(index + 1);
+        }
+    }
+    return qualifiers;
+}
+
+function _matches(item, qualifiers) {
+    const isPullRequest = Boolean(item.pull_request);
+    const merged = isPullRequest && Boolean(item.pull_request.merged_at);
+    const created = item.created_at.slice(0, 10);
+    const range = (qualifiers.created || '*..*').split('..');
+    const owner = item.repository_url.split('/').slice(-2)[0];
+    const reviewers = item.reviewed_by || [];
+
+    return (
+        (!qualifiers.type || (qualifiers.type == 'pr') == isPullRequest) &&
+        (!qualifiers.author || _equal(item.user.login, qualifiers.author)) &&
+        (!qualifiers['-author'] || !_equal(item.user.login, qualifiers['-author'])) &&
+        (!qualifiers['-user'] || !_equal(owner, qualifiers['-user'])) &&
+        (!qualifiers['reviewed-by'] || reviewers.some((login) => _equal(login, qualifiers['reviewed-by']))) &&
+        (!qualifiers.repo || item.repository_url.endsWith('/repos/' + qualifiers.repo)) &&
+        (!qualifiers.is || (qualifiers.is == 'merged' ? merged : item.state == qualifiers.is)) &&
+        (range[0] == '*' || created >= range[0]) &&
+        (range[1] == '*' || created <= range[1])
+    );
+}
+
+// Returns the Link header pointing to other pages like GitHub does.
+function _pageLinks(base, url, page, lastPage) {
+    const link = (number, rel) => {
+        url.searchParams.set('page', number);
+        return `<${base}${url.pathname}${url.search}>; rel="${rel}"`;
+    };
+
+    const links = [];
+    if (page < lastPage) {
+        links.push(link(page + 1, 'next'), link(lastPage, 'last'));
+    }
+    if (page > 1) {
+        links.push(link(1, 'first'), link(page - 1, 'prev'));
+    }
+    return links.join(', ');
+}
+
+// Reviewers are recorded along with the fixtures for reviewed-by searches only.
+function _toSearchItem(item) {
+    const result = Object.assign({}, item);
+    delete result.reviewed_by;
+    return result;
+}
+
+// Fixtures refer to the server with placeholders, as it may be mounted anywhere.
+function _expand(body, base) {
+    return JSON.stringify(body)
+        .replace(/\{api\}/g, base + '/api/v3')
+        .replace(/\{base\}/g, base);
+}
+
+function _avatar(login) {
+    const letter = login[0].toUpperCase();
+    return (
+        '<svg xmlns="http://www.w3.org/2000/svg" width="128" height="128" viewBox="0 0 128 128">' +
+        '<rect width="128" height="128" fill="#6a737d"/>' +
+        `<text x="64" y="84" font-family="sans-serif" font-size="64" fill="#fff" text-anchor="middle">${letter}</text>` +
+        '</svg>'
+    );
+}
+
+// Returns a request handler usable both as an Express middleware and by http.createServer.
+// Rate limits are counted per handler.
+function createHandler(options = {}) {
+    const pageSize = options.pageSize || defaultPageSize;
+    const counters = {};
+
+    // Returns rate limit headers or null if the limit is exceeded already.
+    function countRequest(resource) {
+        const now = Date.now();
+        let counter = counters[resource];
+        if (!counter || counter.reset <= now) {
+            counter = {remaining: rateLimits[resource].limit, reset: now + rateLimits[resource].period};
+            counters[resource] = counter;
+        }
+        if (counter.remaining == 0) {
+            return null;
+        }
+        counter.remaining -= 1;
+
+        return {
+            'X-RateLimit-Limit': String(rateLimits[resource].limit),
+            'X-RateLimit-Remaining': String(counter.remaining),
+            'X-RateLimit-Reset': String(Math.ceil(counter.reset / 1000)),
+        };
+    }
+
+    function exceededHeaders(resource) {
+        return {
+            'X-RateLimit-Limit': String(rateLimits[resource].limit),
+            'X-RateLimit-Remaining': '0',
+            'X-RateLimit-Reset': String(Math.ceil(counters[resource].reset / 1000)),
+        };
+    }
+
+    function send(response, status, headers, body) {
+        response.writeHead(status, Object.assign({}, corsHeaders, headers));
+        response.end(body);
+    }
+
+    function sendJSON(request, response, status, headers, body, base) {
+        const text = _expand(body, base);
+        const etag = 'W/"' + crypto.createHash('md5').update(text).digest('hex') + '"';
+        if (status == 200 && request.headers['if-none-match'] == etag) {
+            send(response, 304, Object.assign({'ETag': etag}, headers));
+            return;
+        }
+
+        send(response, status, Object.assign({
+            'Content-Type': 'application/json; charset=utf-8',
+            'ETag': etag,
+        }, headers), text);
+    }
+
+    function search(base, url) {
+        const qualifiers = _parseQuery(url.searchParams.get('q') || '');
+        const login = qualifiers.author || qualifiers['reviewed-by'];
+        if (login && !fixtures.users.some((user) => _equal(user.login, login))) {
+            return {
+                author: login,
+                status: 422,
+                body: {
+                    message: 'Validation Failed',
+                    errors: [{
+                        message: 'The listed users cannot be searched either because the users do not exist ' +
+                            'or you do not have permission to view the users.',
+                        resource: 'Search',
+                        field: 'q',
+                        code: 'invalid',
+                    }],
+                },
+            };
+        }
+        const items = fixtures.issues.filter((item) => _matches(item, qualifiers));
+        const perPage = Math.min(Number(url.searchParams.get('per_page')) || 30, pageSize);
+        const lastPage = Math.max(Math.ceil(items.length / perPage), 1);
+        const page = Math.min(Math.max(Number(url.searchParams.get('page')) || 1, 1), lastPage);
+
+        const link = _pageLinks(base, url, page, lastPage);
+
+        return {
+            author: login,
+            headers: link ? {'Link': link} : {},
+            body: {
+                total_count: items.length,
+                incomplete_results: false,
+                items: items.slice((page - 1) * perPage, page * perPage).map(_toSearchItem),
+            },
+        };
+    }
+
+    // Returns the author, status, extra headers and body of the response, the body
+    // is missing for unknown resources. Returns null for unknown routes.
+    function route(base, url, authorization) {
+        const pathname = url.pathname.replace(/^\/api\/v3/, '');
+        let match;
+
+        if (pathname == '/search/issues') {
+            return search(base, url);
+        }
+        if ((match = /^\/repos\/([^/]+\/[^/]+)\/pulls\/(\d+)$/.exec(pathname))) {
+            const item = fixtures.issues.find((value) => (
+                value.pull_request && value.pull_request.url.endsWith(`/repos/${match[1]}/pulls/${match[2]}`)
+            ));
+            if (!item) {
+                return {};
+            }
+            return {
+                author: item.user.login,
+                body: {
+                    number: item.number,
+                    state: item.state,
+                    html_url: item.html_url,
+                    merged: Boolean(item.pull_request.merged_at),
+                    merged_at: item.pull_request.merged_at,
+                },
+            };
+        }
+        if ((match = /^\/repos\/([^/]+\/[^/]+)$/.exec(pathname))) {
+            const repository = fixtures.repositories.find((value) => _equal(value.full_name, match[1]));
+            return {body: repository};
+        }
+        if ((match = /^\/users\/([^/]+)$/.exec(pathname))) {
+            const user = fixtures.users.find((value) => _equal(value.login, match[1]));
+            return user ? {author: user.login, body: user} : {author: match[1]};
+        }
+        if (pathname == '/user') {
+            return {unauthorized: !authorization, body: fixtures.users[0]};
+        }
+        return null;
+    }
+
+    return (request, response, next) => {
+        if (request.method == 'OPTIONS') {
+            send(response, 204, {});
+            return;
+        }
+
+        // Express strips the path the handler is mounted at from the URL.
+        const base = 'http://' + request.headers.host + (request.baseUrl || '');
+        const url = new URL(request.url, 'http://' + request.headers.host);
+        const resource = url.pathname == '/api/v3/search/issues' ? 'search' : 'core';
+        const authorization = request.headers.authorization || null;
+
+        if (url.pathname.startsWith('/avatars/')) {
+            send(response, 200, {'Content-Type': 'image/svg+xml'}, _avatar(url.pathname.slice('/avatars/'.length)));
+            return;
+        }
+
+        const result = request.method == 'GET' && url.pathname.startsWith('/api/v3/') && route(base, url, authorization);
+        if (!result) {
+            if (next) {
+                next();
+                return;
+            }
+            sendJSON(request, response, 404, {}, {message: 'Not Found'}, base);
+            return;
+        }
+
+        const rateLimit = countRequest(resource);
+
+        if (result.unauthorized || authorization == 'token invalid' || _equal(result.author || '', 'unauthorized')) {
+            sendJSON(request, response, 401, {}, {message: 'Bad credentials'}, base);
+            return;
+        }
+        if (!rateLimit || _equal(result.author || '', 'rate-limited')) {
+            sendJSON(request, response, 403, exceededHeaders(resource), {message: 'API rate limit exceeded'}, base);
+            return;
+        }
+        if (_equal(result.author || '', 'unavailable')) {
+            sendJSON(request, response, 503, rateLimit, {message: 'Service Unavailable'}, base);
+            return;
+        }
+        if (!result.body) {
+            sendJSON(request, response, 404, rateLimit, {message: 'Not Found'}, base);
+            return;
+        }
+
+        sendJSON(request, response, result.status || 200, Object.assign(rateLimit, result.headers), result.body, base);
+    };
+}
+
+module.exports = {createHandler};
+
+if (require.main == module) {
+    const port = Number(process.argv[2]) || 3001;
+    http.createServer(createHandler()).listen(port, () => {
+        process.stdout.write(`Mock GitHub API is listening on http://localhost:${port}\n`);
+    });
+}
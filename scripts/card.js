@@ -0,0 +1,65 @@
+// Generates the SVG contribution card of a GitHub user.
+//
+// Usage: yarn card <username> [output.svg]
+//
+// Set GITHUB_TOKEN to raise the API rate limit and GITHUB_URL to read from
+// a GitHub Enterprise Server instance. Requires Node.js 18 or later for the built-in fetch.
+
+require('babel-polyfill');
+require('babel-core/register');
+
+// Constants webpack defines for the web application. The card is fetched
+// with a token if any, so OAuth is not used.
+Object.assign(global, {
+    OAUTH_GATEWAY_URL: null,
+    OAUTH_CLIENT_ID: null,
+    GITHUB_INSTANCE: 'github.com',
+    GITHUB_INSTANCES: [],
+});
+
+const fs = require('fs');
+const GitHub = require('../src/api/GitHub').default;
+const {githubInstance, enterpriseInstance} = require('../src/api/instances');
+const {renderCard} = require('../src/api/card');
+
+async function avatarDataURI(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        return null;
+    }
+
+    const type = response.headers.get('Content-Type') || 'image/png';
+    const body = Buffer.from(await response.arrayBuffer());
+    return `data:${type};base64,${body.toString('base64')}`;
+}
+
+async function main(author, output) {
+    const github = new GitHub(author, {
+        graphQL: true,
+        accessToken: process.env.GITHUB_TOKEN,
+        instance: process.env.GITHUB_URL ? enterpriseInstance({url: process.env.GITHUB_URL}) : githubInstance,
+    });
+
+    const user = await github.getUser();
+    const pullRequests = await github.aggregatePullRequests();
+    const issues = await github.aggregateIssues();
+    const avatar = await avatarDataURI(user.avatar_url + '&s=128');
+
+    const card = renderCard(user, pullRequests, issues, avatar);
+    if (output) {
+        fs.writeFileSync(output, card);
+    }
+    else {
+        process.stdout.write(card);
+    }
+}
+
+if (process.argv.length < 3) {
+    process.stderr.write('Usage: yarn card <username> [output.svg]\n');
+    process.exit(1);
+}
+
+main(process.argv[2], process.argv[3]).catch((error) => {
+    process.stderr.write(error.message + '\n');
+    process.exit(1);
+});
@@ -0,0 +1,131 @@
+const databaseName = 'my-contributions';
+const storeName = 'responses';
+
+// Entries this many TTLs old are removed rather than revalidated,
+// as they mostly belong to authors nobody looks at anymore.
+const expiry = 24;
+
+function _promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Persists GitHub API responses in IndexedDB keyed by request.
+// Entries younger than TTL are served as is, older ones are revalidated
+// using ETag and Last-Modified headers.
+export default class Cache {
+    constructor(ttl) {
+        this._ttl = ttl;
+        this._database = null;
+    }
+
+    static async fromResponse(key, response) {
+        return {
+            key: key,
+            body: await response.text(),
+            etag: response.headers.get('ETag'),
+            last_modified: response.headers.get('Last-Modified'),
+            link: response.headers.get('Link'),
+            fetched_at: Date.now(),
+        };
+    }
+
+    static toResponse(entry) {
+        const headers = {};
+        if (entry.link) {
+            headers['Link'] = entry.link;
+        }
+
+        return new Response(entry.body, {
+            status: 200,
+            headers: headers,
+        });
+    }
+
+    // Returns headers for a conditional request revalidating the entry.
+    static conditionalHeaders(entry) {
+        const headers = {};
+        if (entry.etag) {
+            headers['If-None-Match'] = entry.etag;
+        }
+        if (entry.last_modified) {
+            headers['If-Modified-Since'] = entry.last_modified;
+        }
+
+        return headers;
+    }
+
+    _open() {
+        if (!this._database) {
+            const request = indexedDB.open(databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(storeName, {keyPath: 'key'});
+            };
+            this._database = _promisify(request);
+            this._database.then(() => this.prune()).catch(() => null);
+        }
+
+        return this._database;
+    }
+
+    async _objectStore(mode) {
+        const database = await this._open();
+        return database.transaction(storeName, mode).objectStore(storeName);
+    }
+
+    isFresh(entry) {
+        return Date.now() - entry.fetched_at < this._ttl;
+    }
+
+    // A broken or unavailable cache must not break fetching,
+    // so reading failures are treated as cache misses.
+    async get(key) {
+        try {
+            const store = await this._objectStore('readonly');
+            const entry = await _promisify(store.get(key));
+            return entry || null;
+        }
+        catch (e) {
+            return null;
+        }
+    }
+
+    async put(entry) {
+        try {
+            const store = await this._objectStore('readwrite');
+            await _promisify(store.put(entry));
+        }
+        catch (e) {
+            return;
+        }
+    }
+
+    // Removes entries past expiry, it runs whenever the database is opened.
+    async prune() {
+        const store = await this._objectStore('readwrite');
+        const expired = Date.now() - this._ttl * expiry;
+
+        await new Promise((resolve, reject) => {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                if (cursor.value.fetched_at < expired) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async clear() {
+        const store = await this._objectStore('readwrite');
+        await _promisify(store.clear());
+    }
+}
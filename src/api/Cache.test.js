@@ -0,0 +1,175 @@
+import 'fake-indexeddb/auto';
+import 'whatwg-fetch';
+import Cache from './Cache';
+
+let cache;
+
+beforeEach(async () => {
+    cache = new Cache(1000);
+    await cache.clear();
+});
+
+function mockEntry(key, fetchedAt = Date.now()) {
+    return {
+        key: key,
+        body: '{"items":[]}',
+        etag: 'W/"etag"',
+        last_modified: 'Thu, 11 Oct 2018 10:00:00 GMT',
+        link: null,
+        fetched_at: fetchedAt,
+    };
+}
+
+describe('get', () => {
+    it('returns null if there is no entry', async () => {
+        await expect(cache.get('https://api.github.com/users/test')).resolves.toEqual(null);
+    });
+
+    it('returns stored entry', async () => {
+        const entry = mockEntry('https://api.github.com/users/test');
+        await cache.put(entry);
+
+        await expect(cache.get('https://api.github.com/users/test')).resolves.toEqual(entry);
+    });
+
+    it('treats errors as cache misses', async () => {
+        const request = {error: new Error()};
+        jest.spyOn(indexedDB, 'open').mockReturnValueOnce(request);
+
+        const entry = new Cache(1000).get('https://api.github.com/users/test');
+        request.onerror();
+
+        await expect(entry).resolves.toEqual(null);
+        indexedDB.open.mockRestore();
+    });
+});
+
+describe('put', () => {
+    it('replaces stored entry', async () => {
+        await cache.put(mockEntry('https://api.github.com/users/test', 0));
+
+        const entry = mockEntry('https://api.github.com/users/test', 1);
+        await cache.put(entry);
+
+        await expect(cache.get('https://api.github.com/users/test')).resolves.toEqual(entry);
+    });
+
+    it('ignores errors', async () => {
+        cache._objectStore = jest.fn().mockRejectedValueOnce(new Error());
+
+        await expect(cache.put(mockEntry('https://api.github.com/users/test'))).resolves.toEqual(undefined);
+    });
+});
+
+describe('clear', () => {
+    it('removes all entries', async () => {
+        await cache.put(mockEntry('https://api.github.com/users/test1'));
+        await cache.put(mockEntry('https://api.github.com/users/test2'));
+
+        await cache.clear();
+
+        await expect(cache.get('https://api.github.com/users/test1')).resolves.toEqual(null);
+        await expect(cache.get('https://api.github.com/users/test2')).resolves.toEqual(null);
+    });
+});
+
+describe('prune', () => {
+    it('removes entries past expiry', async () => {
+        const recent = mockEntry('https://api.github.com/users/test1', Date.now() - 23 * 1000);
+        await cache.put(recent);
+        await cache.put(mockEntry('https://api.github.com/users/test2', Date.now() - 25 * 1000));
+
+        await cache.prune();
+
+        await expect(cache.get('https://api.github.com/users/test1')).resolves.toEqual(recent);
+        await expect(cache.get('https://api.github.com/users/test2')).resolves.toEqual(null);
+    });
+
+    it('runs when the database is opened', async () => {
+        jest.spyOn(Cache.prototype, 'prune').mockResolvedValue();
+
+        await new Cache(1000).get('https://api.github.com/users/test');
+
+        expect(Cache.prototype.prune).toHaveBeenCalledTimes(1);
+        Cache.prototype.prune.mockRestore();
+    });
+
+    it('rejects on cursor errors', async () => {
+        const request = {error: new Error('cursor')};
+        cache._objectStore = jest.fn().mockResolvedValueOnce({
+            openCursor: () => {
+                setTimeout(() => request.onerror());
+                return request;
+            },
+        });
+
+        await expect(cache.prune()).rejects.toEqual(new Error('cursor'));
+    });
+});
+
+describe('isFresh', () => {
+    it('compares entry age with TTL', () => {
+        expect(cache.isFresh(mockEntry('key'))).toEqual(true);
+        expect(cache.isFresh(mockEntry('key', Date.now() - 1000))).toEqual(false);
+    });
+});
+
+describe('fromResponse', () => {
+    it('saves body and headers', async () => {
+        const response = new Response('{"login":"test"}', {
+            status: 200,
+            headers: {
+                'ETag': 'W/"etag"',
+                'Last-Modified': 'Thu, 11 Oct 2018 10:00:00 GMT',
+                'Link': '<https://api.github.com/search/issues?page=2>; rel="next"',
+            },
+        });
+
+        const entry = await Cache.fromResponse('key', response);
+
+        expect(entry).toEqual({
+            key: 'key',
+            body: '{"login":"test"}',
+            etag: 'W/"etag"',
+            last_modified: 'Thu, 11 Oct 2018 10:00:00 GMT',
+            link: '<https://api.github.com/search/issues?page=2>; rel="next"',
+            fetched_at: expect.any(Number),
+        });
+    });
+});
+
+describe('toResponse', () => {
+    it('restores body', async () => {
+        const response = Cache.toResponse(mockEntry('key'));
+
+        expect(response.ok).toEqual(true);
+        expect(response.headers.get('Link')).toEqual(null);
+        await expect(response.json()).resolves.toEqual({items: []});
+    });
+
+    it('restores Link header', () => {
+        const entry = mockEntry('key');
+        entry.link = '<https://api.github.com/search/issues?page=2>; rel="next"';
+
+        const response = Cache.toResponse(entry);
+
+        expect(response.headers.get('Link')).toEqual(entry.link);
+    });
+});
+
+describe('conditionalHeaders', () => {
+    it('uses ETag and Last-Modified', () => {
+        expect(Cache.conditionalHeaders(mockEntry('key'))).toEqual({
+            'If-None-Match': 'W/"etag"',
+            'If-Modified-Since': 'Thu, 11 Oct 2018 10:00:00 GMT',
+        });
+    });
+
+    it('skips missing validators', () => {
+        const entry = mockEntry('key');
+        entry.etag = null;
+        entry.last_modified = null;
+
+        expect(Cache.conditionalHeaders(entry)).toEqual({});
+    });
+});
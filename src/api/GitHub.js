@@ -1,36 +1,139 @@
-function _AuthorizationError() {
-    this.message = 'Authorization error';
-    this.name = 'AuthorizationError';
-}
+import Cache from './Cache';
+import {parseLinks} from './links';
+import {defaultPolicy, isAllowed} from './policy';
+import {githubInstance} from './instances';
+import Progress from './progress';
+import {AbortError, AuthorizationError, NetworkError, RateLimitError, UserNotFoundError, isTransient, responseError} from './errors';
+
+export {AbortError, AuthorizationError, RateLimitError} from './errors';
 
 async function _fetchJSON(url, init) {
-    const fetchError = new Error('Could not fetch ' + url);
     let response;
 
     try {
         response = await fetch(url, init);
     }
     catch (e) {
-        throw fetchError;
+        throw new NetworkError(url);
     }
 
     if (!response.ok) {
-        throw fetchError;
+        throw responseError(url, response.status);
     }
 
     return await response.json();
 }
 
+// Searches issues or pull requests along with everything the aggregation needs,
+// so neither merge state nor repositories have to be fetched one by one.
+// Please see https://developer.github.com/v4/query/#search.
+const searchQuery = `
+query ($query: String!, $cursor: String) {
+    search(query: $query, type: ISSUE, first: 100, after: $cursor) {
+        issueCount
+        pageInfo {
+            hasNextPage
+            endCursor
+        }
+        nodes {
+            ... on PullRequest {
+                id
+                title
+                number
+                url
+                state
+                merged
+                createdAt
+                updatedAt
+                closedAt
+                authorAssociation
+                repository {
+                    ...repository
+                }
+            }
+            ... on Issue {
+                id
+                title
+                number
+                url
+                state
+                createdAt
+                updatedAt
+                closedAt
+                authorAssociation
+                repository {
+                    ...repository
+                }
+            }
+        }
+    }
+}
+
+fragment repository on Repository {
+    url
+    nameWithOwner
+    stargazerCount
+    primaryLanguage {
+        name
+    }
+}`;
+
+// Once less than this share of the rate limit remains, requests are spread
+// evenly over the time left until the limit resets.
+const throttleThreshold = 0.1;
+const maxThrottleDelay = 2000;
+
+// GitHub search returns at most this number of results.
+// Please see https://developer.github.com/v3/search/#about-the-search-api.
+const searchLimit = 1000;
+// Nothing could have been created on GitHub before it was launched.
+const searchEpoch = '2008-01-01';
+const day = 24 * 60 * 60 * 1000;
+
+// Maximum number of pages fetched in parallel.
+const pageConcurrency = 4;
+// Maximum number of repositories or pull requests fetched in parallel by an aggregation.
+const requestConcurrency = 4;
+
+// Transient failures are retried this many times waiting twice as long each time.
+const maxRetries = 3;
+const retryDelay = 1000;
+
 export const authorPattern = '^[^ :/]+$';
+export const datePattern = '^[0-9]{4}-[0-9]{2}-[0-9]{2}$';
+export const teamPattern = '^[a-zA-Z0-9_-]+$';
+
+function _isDate(value) {
+    return new RegExp(datePattern).test(value) && !isNaN(Date.parse(value));
+}
 
 export default class GitHub {
-    constructor(author) {
+    constructor(author, options = {}) {
         if (!new RegExp(authorPattern).test(author)) {
             throw new Error('Invalid username');
         }
 
+        const since = options.since || null;
+        const until = options.until || null;
+        if ((since && !_isDate(since)) || (until && !_isDate(until)) || (since && until && since > until)) {
+            throw new Error('Invalid date range');
+        }
+
         this._author = author;
-        this._authorizationHeader = null;
+        this._since = since;
+        this._until = until;
+        this._authorizationHeader = options.accessToken ? {Authorization: 'token ' + options.accessToken} : null;
+        this._graphQL = Boolean(options.graphQL);
+        this._cache = options.cache || null;
+        this._policy = options.policy || defaultPolicy;
+        this._instance = options.instance || githubInstance;
+        this._rateLimits = {};
+        this._throttling = Promise.resolve();
+        this._repositories = {};
+    }
+
+    static _sleep(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
     }
 
     static _getRandomString() {
@@ -40,20 +143,73 @@ export default class GitHub {
         return btoa(String.fromCharCode(...bytes));
     }
 
-    static _requestAuthorization() {
-        localStorage.removeItem('access_token');
+    // Redirects to GitHub to authorize the application through OAuth.
+    static requestAuthorization(instance = githubInstance) {
+        GitHub.signOut(instance);
 
         const state = GitHub._getRandomString();
         localStorage.setItem('state', state);
 
         window.location.replace(
-            'https://github.com/login/oauth/authorize?' +
-            'client_id=' + OAUTH_CLIENT_ID + '&' +
+            instance.oauthAuthorizeURL + '?' +
+            'client_id=' + instance.oauthClientID + '&' +
             'state=' + encodeURIComponent(state) + '&' +
             'redirect_uri=' + encodeURIComponent(window.location.href)
         );
     }
 
+    // Tokens are stored per instance, the github.com one under the original key.
+    static _tokenKey(instance) {
+        return instance.name == githubInstance.name ? 'access_token' : 'access_token:' + instance.name;
+    }
+
+    // Tokens are kept in sessionStorage unless the user chose to stay signed in.
+    static getStoredToken(instance = githubInstance) {
+        const key = GitHub._tokenKey(instance);
+        return window.sessionStorage.getItem(key) || window.localStorage.getItem(key);
+    }
+
+    static storeToken(token, persistent, instance = githubInstance) {
+        GitHub.signOut(instance);
+        (persistent ? window.localStorage : window.sessionStorage).setItem(GitHub._tokenKey(instance), token);
+    }
+
+    static signOut(instance = githubInstance) {
+        const key = GitHub._tokenKey(instance);
+        window.sessionStorage.removeItem(key);
+        window.localStorage.removeItem(key);
+    }
+
+    // Returns the user the token belongs to. Responses are not cached,
+    // so that a revoked token is detected right away.
+    static async getViewer(token, instance = githubInstance) {
+        const url = instance.apiURL + '/user';
+        let response;
+
+        try {
+            response = await fetch(url, {headers: {Authorization: 'token ' + token}});
+        }
+        catch (e) {
+            throw new NetworkError(url);
+        }
+
+        if (response.status == 401) {
+            throw new Error('Invalid access token');
+        }
+        if (!response.ok) {
+            throw responseError(url, response.status);
+        }
+
+        return await response.json();
+    }
+
+    // Signs in with a personal access token after checking it is valid.
+    static async signIn(token, persistent, instance = githubInstance) {
+        const viewer = await GitHub.getViewer(token, instance);
+        GitHub.storeToken(token, persistent, instance);
+        return viewer;
+    }
+
     // Parses the Link header and returns a corresponding object.
     // Please see https://developer.github.com/v3/guides/traversing-with-pagination/.
     static _getPageLinks(headers) {
@@ -68,20 +224,78 @@ export default class GitHub {
         if (link == null)
             return result;
 
-        const urls = /<([^<>]+)>; rel="(next|last|first|prev)"/.exec(link);
-        if (urls == null || urls.length < 3) {
+        const links = parseLinks(link);
+        if (!links.length) {
             throw new Error('GitHub API pagination error');
         }
 
-        let i = urls.length - 1;
-        while (i) {
-            result[urls[i]] = urls[i - 1];
-            i -= 2;
+        for (const value of links) {
+            for (const rel of value.rel) {
+                if (rel in result && result[rel] == null) {
+                    result[rel] = value.url;
+                }
+            }
         }
 
         return result;
     }
 
+    // Returns URLs of all pages following the current one
+    // or null if they cannot be known in advance.
+    static _getPageURLs(links) {
+        const pattern = /([?&]page=)(\d+)/;
+        const last = pattern.exec(links.last);
+        const next = pattern.exec(links.next);
+        if (!last || !next) {
+            return null;
+        }
+
+        const urls = [];
+        for (let page = Number(next[2]); page <= Number(last[2]); page++) {
+            urls.push(links.last.replace(pattern, '$1' + page));
+        }
+
+        return urls;
+    }
+
+    // Maps values with an async callback running at most limit callbacks at once.
+    // Results are returned in the order of values.
+    static async _mapConcurrently(values, limit, callback) {
+        const results = new Array(values.length);
+        let next = 0;
+
+        async function worker() {
+            while (next < values.length) {
+                const index = next++;
+                results[index] = await callback(values[index]);
+            }
+        }
+
+        const workers = [];
+        for (let i = 0; i < Math.min(limit, values.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        return results;
+    }
+
+    // Returns the part of a search item shown in the repository drill-down.
+    static _toItem(value) {
+        return {
+            title: value.title,
+            number: value.number,
+            state: value.state,
+            html_url: value.html_url,
+            created_at: value.created_at,
+            closed_at: value.closed_at,
+        };
+    }
+
+    static _compareCreated(a, b) {
+        return new Date(b.created_at) - new Date(a.created_at);
+    }
+
     static _reducePullRequests(items) {
         return items.reduce((result, value) => {
             const url = value.repository_url;
@@ -90,9 +304,11 @@ export default class GitHub {
                 merged: 0,
                 closed: 0,
                 updated_at: new Date(0),
+                items: [],
             };
 
             repository[value.state] += 1;
+            repository.items.push(GitHub._toItem(value));
 
             const updatedAt = new Date(value.updated_at);
             if (repository.updated_at < updatedAt) {
@@ -111,9 +327,11 @@ export default class GitHub {
                 open: 0,
                 closed: 0,
                 updated_at: new Date(0),
+                items: [],
             };
 
             repository[value.state] += 1;
+            repository.items.push(GitHub._toItem(value));
             result[url] = repository;
 
             const updatedAt = new Date(value.updated_at);
@@ -125,25 +343,130 @@ export default class GitHub {
         }, {});
     }
 
-    static _isNotOwned(item) {
-        return (
-            item.author_association != 'OWNER' &&
-            item.author_association != 'MEMBER'
-        );
+    // Converts a GraphQL search node to the subset of a REST search item
+    // used by the reducers.
+    static _fromGraphQL(node) {
+        return {
+            id: node.id,
+            repository_url: node.repository.url,
+            author_association: node.authorAssociation,
+            state: node.merged ? 'merged' : node.state.toLowerCase(),
+            updated_at: node.updatedAt,
+            title: node.title,
+            number: node.number,
+            html_url: node.url,
+            created_at: node.createdAt,
+            closed_at: node.closedAt,
+        };
     }
 
-    _htmlURL(args) {
-        let query = `author:${this._author}`;
+    static _today() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    // Splits the date range into two halves not overlapping each other.
+    static _splitWindow(from, until) {
+        const start = Date.parse(from);
+        const end = Date.parse(until);
+        const middle = start + Math.floor((end - start) / day / 2) * day;
+
+        return [
+            [from, new Date(middle).toISOString().slice(0, 10)],
+            [new Date(middle + day).toISOString().slice(0, 10), until],
+        ];
+    }
+
+    // Merges results of several searches dropping duplicate items.
+    static _mergeResults(results) {
+        const items = new Map();
+        for (const result of results) {
+            for (const item of result.items) {
+                items.set(item.id, item);
+            }
+        }
+
+        return {
+            total_count: items.size,
+            items: Array.from(items.values()),
+            repositories: results[0].repositories && Object.assign({}, ...results.map((result) => result.repositories)),
+        };
+    }
+
+    // Search and GraphQL APIs have rate limits separate from the core one.
+    // Please see https://developer.github.com/v3/#rate-limiting.
+    _getResource(url) {
+        if (url.startsWith(this._instance.apiURL + '/search/')) {
+            return 'search';
+        }
+        if (url.startsWith(this._instance.graphQLURL)) {
+            return 'graphql';
+        }
+        return 'core';
+    }
+
+    // Returns the rate limit reported by the response or null if there is none.
+    // Secondary rate limits are reported with the Retry-After header only.
+    static _getRateLimit(headers) {
+        const retryAfter = headers.get('Retry-After');
+        if (retryAfter != null) {
+            return {
+                limit: Number(headers.get('X-RateLimit-Limit')),
+                remaining: 0,
+                reset: new Date(Date.now() + Number(retryAfter) * 1000),
+            };
+        }
+
+        const remaining = headers.get('X-RateLimit-Remaining');
+        if (remaining == null) {
+            return null;
+        }
+
+        return {
+            limit: Number(headers.get('X-RateLimit-Limit')),
+            remaining: Number(remaining),
+            reset: new Date(Number(headers.get('X-RateLimit-Reset')) * 1000),
+        };
+    }
+
+    // GraphQL requests share the same URL, so their bodies are part of the key.
+    static _cacheKey(url, init) {
+        if (init && init.body) {
+            return url + '\n' + init.body;
+        }
+        return url;
+    }
+
+    get _authorQuery() {
+        return `author:${this._author}`;
+    }
+
+    // Pull requests of others reviewed by the author outside of their own repositories.
+    // Please see https://docs.github.com/en/search-github/searching-on-github/searching-issues-and-pull-requests.
+    get _reviewerQuery() {
+        return `reviewed-by:${this._author} -author:${this._author} -user:${this._author}`;
+    }
+
+    // Returns the search qualifier limiting results to the date range if any.
+    get _createdQualifier() {
+        if (!this._since && !this._until) {
+            return '';
+        }
+        return ` created:${this._since || '*'}..${this._until || '*'}`;
+    }
+
+    // Returns the GitHub search page for the query narrowed down by args.
+    _htmlURL(query, args) {
         for (const i in  args) {
             query += ` ${i}:${args[i]}`;
         }
-        return 'https://github.com/search?utf8=✓&q=' + encodeURIComponent(query);
+        query += this._createdQualifier;
+        return this._instance.webURL + '/search?utf8=✓&q=' + encodeURIComponent(query);
     }
 
     async _getAccessToken(code) {
         const response = await _fetchJSON(
-            OAUTH_GATEWAY_URL + '?' +
-            'client_id=' + OAUTH_CLIENT_ID + '&' +
+            this._instance.oauthGatewayURL + '?' +
+            'client_id=' + this._instance.oauthClientID + '&' +
             'code=' + code,
             {method: 'POST'},
         );
@@ -166,145 +489,490 @@ export default class GitHub {
         return this._author;
     }
 
-    async _fetch(url, init) {
+    get instance() {
+        return this._instance;
+    }
+
+    get authorized() {
+        return Boolean(this._authorizationHeader);
+    }
+
+    get since() {
+        return this._since;
+    }
+
+    get until() {
+        return this._until;
+    }
+
+    // GitHub GraphQL API cannot be used without authorization,
+    // so REST API is used until an access token is set.
+    // Instances may also have no GraphQL API at all.
+    get _useGraphQL() {
+        return this._graphQL && Boolean(this._authorization) && Boolean(this._instance.graphQLURL);
+    }
+
+    // Waits before sending a request if the rate limit is about to be exceeded
+    // and fails right away if it is already exceeded.
+    async _throttle(resource) {
+        const rateLimit = this._rateLimits[resource];
+        if (!rateLimit) {
+            return;
+        }
+
+        const resetIn = rateLimit.reset - Date.now();
+        if (resetIn <= 0) {
+            delete this._rateLimits[resource];
+            return;
+        }
+        if (rateLimit.remaining <= 0) {
+            throw new RateLimitError(rateLimit);
+        }
+
+        const remaining = rateLimit.remaining;
+        rateLimit.remaining -= 1;
+
+        if (remaining < rateLimit.limit * throttleThreshold) {
+            const delay = Math.min(resetIn / remaining, maxThrottleDelay);
+            this._throttling = this._throttling.then(() => GitHub._sleep(delay));
+            await this._throttling;
+        }
+    }
+
+    static _throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw new AbortError();
+        }
+    }
+
+    static _backoff(attempt) {
+        return GitHub._sleep(retryDelay * Math.pow(2, attempt));
+    }
+
+    // Sends the request again after network failures and server errors.
+    async _fetch(url, init, signal) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._fetchOnce(url, init, signal);
+            }
+            catch (e) {
+                if (!isTransient(e) || attempt == maxRetries) {
+                    throw e;
+                }
+            }
+            await GitHub._backoff(attempt);
+        }
+    }
+
+    async _fetchOnce(url, init, signal) {
+        GitHub._throwIfAborted(signal);
+        if (signal) {
+            init = Object.assign({signal: signal}, init);
+        }
         if (this._authorization) {
             init = Object.assign({headers: this._authorizationHeader}, init);
         }
 
-        const fetchError = new Error('Could not fetch ' + url);
+        const key = GitHub._cacheKey(url, init);
+        const cached = this._cache && await this._cache.get(key);
+        if (cached) {
+            if (this._cache.isFresh(cached)) {
+                return Cache.toResponse(cached);
+            }
+
+            init = Object.assign({}, init);
+            init.headers = Object.assign({}, init.headers, Cache.conditionalHeaders(cached));
+        }
+
+        const resource = this._getResource(url);
+        await this._throttle(resource);
+        GitHub._throwIfAborted(signal);
+
         let response;
 
         try {
             response = await fetch(url, init);
         }
         catch (e) {
-            throw fetchError;
+            GitHub._throwIfAborted(signal);
+            throw new NetworkError(url);
         }
 
+        const rateLimit = GitHub._getRateLimit(response.headers);
+        if (rateLimit) {
+            this._rateLimits[resource] = rateLimit;
+        }
+
+        // Conditional requests answered with 304 Not Modified
+        // do not count against the rate limit.
+        if (cached && response.status == 304) {
+            cached.fetched_at = Date.now();
+            await this._cache.put(cached);
+            return Cache.toResponse(cached);
+        }
         if (response.status == 401) {
-            throw new _AuthorizationError();
+            // The token is invalid or revoked, so it is of no use anymore.
+            if (this._authorization) {
+                GitHub.signOut(this._instance);
+                this._authorizationHeader = null;
+            }
+            throw new AuthorizationError();
+        }
+        if ((response.status == 403 || response.status == 429) && rateLimit && rateLimit.remaining == 0) {
+            throw new RateLimitError(rateLimit);
         }
         if (!response.ok) {
-            throw fetchError;
+            throw responseError(url, response.status);
+        }
+
+        if (this._cache) {
+            await this._cache.put(await Cache.fromResponse(key, response.clone()));
         }
 
         return response;
     }
 
-    async _fetchJSON(url, init) {
-        const response = await this._fetch(url, init);
+    async _fetchJSON(url, init, signal) {
+        const response = await this._fetch(url, init, signal);
         return await response.json();
     }
 
-    async _augmentPullRequests(items) {
-        const promises = Object.entries(items).map(async (entry) => {
-            const repository = await this._fetchJSON(entry[0]);
-            return {
-                repository: {
-                    html_url: repository.html_url,
-                    full_name: repository.full_name,
-                    stargazers_count: repository.stargazers_count,
-                    language: repository.language,
-                },
+    async _fetchGraphQL(query, variables, signal) {
+        const response = await this._fetchJSON(this._instance.graphQLURL, {
+            method: 'POST',
+            body: JSON.stringify({query: query, variables: variables}),
+        }, signal);
+        if (response.errors && response.errors.length) {
+            throw this._graphQLError(response.errors[0]);
+        }
+
+        return response.data;
+    }
+
+    // GraphQL API reports errors with HTTP 200, so they are told apart by their types
+    // to throw the same errors as REST API does.
+    _graphQLError(error) {
+        switch (error.type) {
+        case 'RATE_LIMITED':
+            // The rate limit is known from the response headers unless they are missing.
+            return new RateLimitError(this._rateLimits.graphql || {limit: 0, remaining: 0, reset: new Date()});
+        case 'NOT_FOUND':
+            return new UserNotFoundError(this._author);
+        }
+
+        // Searching for authors that do not exist fails validation as with REST API.
+        if (/cannot be searched/.test(error.message)) {
+            return new UserNotFoundError(this._author);
+        }
+
+        return new Error('GitHub API GraphQL error: ' + error.message);
+    }
+
+    // Returns repositories already known from GraphQL search or fetches them,
+    // once for all aggregations since they mostly share repositories.
+    async _getRepository(url, repositories, signal) {
+        if (repositories) {
+            return repositories[url];
+        }
+
+        if (!this._repositories[url]) {
+            this._repositories[url] = this._fetchRepository(url, signal).catch((e) => {
+                delete this._repositories[url];
+                throw e;
+            });
+        }
+        return await this._repositories[url];
+    }
+
+    async _fetchRepository(url, signal) {
+        const repository = await this._fetchJSON(url, undefined, signal);
+        return {
+            html_url: repository.html_url,
+            full_name: repository.full_name,
+            stargazers_count: repository.stargazers_count,
+            language: repository.language,
+        };
+    }
+
+    // Search links of the results narrow down the query the pull requests were found with.
+    async _augmentPullRequests(items, repositories, query, signal, progress) {
+        const entries = Object.entries(items);
+        progress.addRepositories(entries.length);
+
+        return await GitHub._mapConcurrently(entries, requestConcurrency, async (entry) => {
+            const repository = await this._getRepository(entry[0], repositories, signal);
+            const result = {
+                repository: repository,
                 open: entry[1].open,
                 closed: entry[1].closed,
                 merged: entry[1].merged,
                 updated_at: entry[1].updated_at,
-                open_html_url: this._htmlURL({
+                items: entry[1].items.sort(GitHub._compareCreated),
+                open_html_url: this._htmlURL(query, {
                     type: 'pr',
                     repo: repository.full_name,
                     is: 'open',
                 }),
-                closed_html_url: this._htmlURL({
+                closed_html_url: this._htmlURL(query, {
                     type: 'pr',
                     repo: repository.full_name,
                     is: 'closed',
                 }),
-                merged_html_url: this._htmlURL({
+                merged_html_url: this._htmlURL(query, {
                     type: 'pr',
                     repo: repository.full_name,
                     is: 'merged',
                 }),
             };
-        });
 
-        return await Promise.all(promises);
+            progress.repositoryFetched(result);
+            return result;
+        });
     }
 
-    async _augmentIssues(items) {
-        const promises = Object.entries(items).map(async (entry) => {
-            const repository = await this._fetchJSON(entry[0]);
-            return {
-                repository: {
-                    html_url: repository.html_url,
-                    full_name: repository.full_name,
-                    stargazers_count: repository.stargazers_count,
-                    language: repository.language,
-                },
+    async _augmentIssues(items, repositories, signal, progress) {
+        const entries = Object.entries(items);
+        progress.addRepositories(entries.length);
+
+        return await GitHub._mapConcurrently(entries, requestConcurrency, async (entry) => {
+            const repository = await this._getRepository(entry[0], repositories, signal);
+            const result = {
+                repository: repository,
                 open: entry[1].open,
                 closed: entry[1].closed,
                 updated_at: entry[1].updated_at,
-                open_html_url: this._htmlURL({
+                items: entry[1].items.sort(GitHub._compareCreated),
+                open_html_url: this._htmlURL(this._authorQuery, {
                     type: 'issue',
                     repo: repository.full_name,
                     is: 'open',
                 }),
-                closed_html_url: this._htmlURL({
+                closed_html_url: this._htmlURL(this._authorQuery, {
                     type: 'issue',
                     repo:repository.full_name,
                     is: 'closed',
                 }),
             };
-        });
 
-        return await Promise.all(promises);
+            progress.repositoryFetched(result);
+            return result;
+        });
     }
 
-    async _fetchPages(url, items) {
-        const response = await this._fetch(url);
+    // Fetches all pages unless the first one reports more than limit results.
+    // Once the last page is known, the rest are fetched in parallel.
+    async _fetchPages(url, limit, signal, progress) {
+        progress.addPages(1);
+        const response = await this._fetch(url, undefined, signal);
         const result = await response.json();
-        if (items) {
-            Array.prototype.push.apply(items, result.items);
+        progress.pageFetched();
+        if (result.total_count > limit) {
+            return result;
+        }
+
+        let links = GitHub._getPageLinks(response.headers);
+
+        const urls = GitHub._getPageURLs(links);
+        if (urls) {
+            progress.addPages(urls.length);
+            const pages = await GitHub._mapConcurrently(urls, pageConcurrency, async (pageURL) => {
+                const page = await this._fetchJSON(pageURL, undefined, signal);
+                progress.pageFetched();
+                return page.items;
+            });
+            for (const items of pages) {
+                Array.prototype.push.apply(result.items, items);
+            }
+
+            return result;
+        }
+
+        while (links.next) {
+            progress.addPages(1);
+            const next = await this._fetch(links.next, undefined, signal);
+            Array.prototype.push.apply(result.items, (await next.json()).items);
+            progress.pageFetched();
+            links = GitHub._getPageLinks(next.headers);
         }
 
-        const links = GitHub._getPageLinks(response.headers);
-        if (links.next) {
-            await this._fetchPages(links.next, result.items);
+        return result;
+    }
+
+    // Fetches all pages of a list endpoint following next links.
+    async _fetchList(url, signal) {
+        const result = [];
+        let next = url;
+
+        while (next) {
+            const response = await this._fetch(next, undefined, signal);
+            Array.prototype.push.apply(result, await response.json());
+            next = GitHub._getPageLinks(response.headers).next;
         }
 
         return result;
     }
 
-    async _isMerged(url) {
-        const pr = await this._fetchJSON(url);
+    async _isMerged(url, signal) {
+        const pr = await this._fetchJSON(url, undefined, signal);
         return pr.merged;
     }
 
-    async _fetchPullRequests() {
-        const q = encodeURIComponent('type:pr author:' + this._author);
-        const pullRequests = await this._fetchPages('https://api.github.com/search/issues?per_page=100&q=' + q);
-        const filtered = pullRequests.items.filter(GitHub._isNotOwned);
+    // GitHub refuses to search for authors that do not exist.
+    async _searchREST(query, limit, signal, progress) {
+        const q = encodeURIComponent(query);
+        let result;
+        try {
+            result = await this._fetchPages(this._instance.apiURL + '/search/issues?per_page=100&q=' + q, limit, signal, progress);
+        }
+        catch (e) {
+            throw e.name == 'ResponseError' && e.status == 422 ? new UserNotFoundError(this._author) : e;
+        }
+
+        return {
+            total_count: result.total_count,
+            items: result.items,
+            repositories: null,
+        };
+    }
+
+    // Fetches all search results page by page using GraphQL API
+    // unless the first page reports more than limit results.
+    // Returns REST-like items and repositories keyed by their URLs.
+    async _searchGraphQL(query, limit, signal, progress) {
+        const items = [];
+        const repositories = {};
+        let cursor = null;
+        let totalCount;
+
+        progress.addPages(1);
+        do {
+            const data = await this._fetchGraphQL(searchQuery, {query: query, cursor: cursor}, signal);
+            progress.pageFetched();
+
+            // The number of pages is known from the first one.
+            if (cursor == null) {
+                totalCount = data.search.issueCount;
+                if (totalCount > limit) {
+                    break;
+                }
+                progress.addPages(Math.max(Math.ceil(totalCount / 100) - 1, 0));
+            }
+
+            for (const node of data.search.nodes) {
+                const repository = node.repository;
+                repositories[repository.url] = {
+                    html_url: repository.url,
+                    full_name: repository.nameWithOwner,
+                    stargazers_count: repository.stargazerCount,
+                    language: repository.primaryLanguage && repository.primaryLanguage.name,
+                };
+                items.push(GitHub._fromGraphQL(node));
+            }
 
-        const promises = filtered.map(async (item) => {
-            if (item.state == 'closed' && await this._isMerged(item.pull_request.url)) {
+            const pageInfo = data.search.pageInfo;
+            cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+        } while (cursor);
+
+        return {
+            total_count: totalCount,
+            items: items,
+            repositories: repositories,
+        };
+    }
+
+    async _search(query, limit, signal, progress) {
+        if (this._useGraphQL) {
+            return await this._searchGraphQL(query, limit, signal, progress);
+        }
+        return await this._searchREST(query, limit, signal, progress);
+    }
+
+    // GitHub search returns at most 1000 results, so queries matching more
+    // are split into created date windows that match less.
+    async _searchAll(query, signal, progress) {
+        const result = await this._search(query + this._createdQualifier, searchLimit, signal, progress);
+        if (!(result.total_count > searchLimit)) {
+            return result;
+        }
+
+        // The whole range is known to match too much already, so it is split right away.
+        return await this._searchSplit(query, this._since || searchEpoch, this._until || GitHub._today(), signal, progress);
+    }
+
+    async _searchWindow(query, from, until, signal, progress) {
+        const windowed = `${query} created:${from}..${until}`;
+
+        // A single day cannot be split any further.
+        if (from == until) {
+            return await this._search(windowed, Infinity, signal, progress);
+        }
+
+        const result = await this._search(windowed, searchLimit, signal, progress);
+        if (!(result.total_count > searchLimit)) {
+            return result;
+        }
+
+        return await this._searchSplit(query, from, until, signal, progress);
+    }
+
+    async _searchSplit(query, from, until, signal, progress) {
+        if (from == until) {
+            return await this._searchWindow(query, from, until, signal, progress);
+        }
+
+        const results = await Promise.all(GitHub._splitWindow(from, until).map((window) => {
+            return this._searchWindow(query, window[0], window[1], signal, progress);
+        }));
+
+        return GitHub._mergeResults(results);
+    }
+
+    // REST search results lack merge state. Closed pull requests are checked one by one
+    // unless searchMerged is set, then the merged ones are found by a search of their own,
+    // which takes a few requests however many there are.
+    async _searchPullRequests(query, policy, signal, progress, searchMerged) {
+        const result = await this._searchAll('type:pr ' + query, signal, progress);
+        const filtered = result.items.filter((item) => isAllowed(item, policy));
+
+        // GraphQL search results already include merge state.
+        if (result.repositories) {
+            return {items: filtered, repositories: result.repositories};
+        }
+
+        if (searchMerged) {
+            const merged = await this._searchAll('type:pr is:merged ' + query, signal, progress);
+            const urls = new Set(merged.items.map((item) => item.pull_request.url));
+            filtered.forEach((item) => {
+                if (item.state == 'closed' && urls.has(item.pull_request.url)) {
+                    item.state = 'merged';
+                }
+            });
+            return {items: filtered, repositories: null};
+        }
+
+        const closed = filtered.filter((item) => item.state == 'closed');
+        progress.addPullRequests(closed.length);
+        await GitHub._mapConcurrently(closed, requestConcurrency, async (item) => {
+            if (await this._isMerged(item.pull_request.url, signal)) {
                 item.state = 'merged';
             }
-            return item;
+            progress.pullRequestChecked();
         });
 
-        return await Promise.all(promises);
+        return {items: filtered, repositories: null};
     }
 
-    async _fetchIssues() {
-        const q = encodeURIComponent('type:issue author:' + this._author);
-        const issues = await this._fetchPages('https://api.github.com/search/issues?per_page=100&q=' + q);
-        const filtered = issues.items.filter(GitHub._isNotOwned);
+    async _searchIssues(signal, progress) {
+        const result = await this._searchAll('type:issue ' + this._authorQuery, signal, progress);
 
-        return filtered;
+        return {
+            items: result.items.filter((item) => isAllowed(item, this._policy)),
+            repositories: result.repositories,
+        };
     }
 
     async authorize() {
-        let accessToken = window.localStorage.getItem('access_token');
+        let accessToken = GitHub.getStoredToken(this._instance);
         if (accessToken) {
             this._authorization = accessToken;
             return;
@@ -312,9 +980,10 @@ export default class GitHub {
 
         const params = new URL(window.location.href).searchParams;
 
+        // Without a token requests are sent unauthenticated
+        // until GitHub asks for authorization.
         const code = params.get('code');
         if (!code) {
-            GitHub._requestAuthorization();
             return;
         }
 
@@ -335,59 +1004,263 @@ export default class GitHub {
         accessToken = await this._getAccessToken(code);
 
         this._authorization = accessToken;
-        localStorage.setItem('access_token', accessToken);
+        GitHub.storeToken(accessToken, true, this._instance);
     }
 
-    async aggregatePullRequests() {
-        let results;
+    // Aggregation methods take an optional AbortSignal cancelling the requests
+    // they send, they reject with AbortError then. The optional onProgress callback
+    // gets the counts of fetched pages, checked pull requests and repositories
+    // and the repositories so far.
+    // Without authorization the core rate limit allows only 60 requests an hour,
+    // so merged pull requests are searched for rather than checked one by one.
+    async aggregatePullRequests(signal = null, onProgress = null) {
+        const progress = new Progress(onProgress);
+        const query = this._authorQuery;
+        const searchMerged = !this._authorization;
+        const pullRequests = await this._searchPullRequests(query, this._policy, signal, progress, searchMerged);
+        const reduced = GitHub._reducePullRequests(pullRequests.items);
+        const results = await this._augmentPullRequests(reduced, pullRequests.repositories, query, signal, progress);
+
+        return results.sort((a, b) => b.updated_at - a.updated_at);
+    }
 
-        try {
-            const pullRequests = await this._fetchPullRequests();
-            const reduced = GitHub._reducePullRequests(pullRequests);
-            results = await this._augmentPullRequests(reduced);
+    // Aggregates pull requests of others the author reviewed in repositories
+    // they do not own. Associations describe the pull request authors,
+    // so only the owner and repository deny-lists of the policy apply.
+    // Reviewed pull requests can outnumber the hourly rate limit,
+    // so they are not checked for merge state one by one.
+    async aggregateReviews(signal = null, onProgress = null) {
+        const progress = new Progress(onProgress);
+        const query = this._reviewerQuery;
+        const policy = Object.assign({}, this._policy, {include: [], exclude: []});
+        const pullRequests = await this._searchPullRequests(query, policy, signal, progress, true);
+        const reduced = GitHub._reducePullRequests(pullRequests.items);
+        const results = await this._augmentPullRequests(reduced, pullRequests.repositories, query, signal, progress);
+
+        return results.sort((a, b) => b.updated_at - a.updated_at);
+    }
+
+    async aggregateIssues(signal = null, onProgress = null) {
+        const progress = new Progress(onProgress);
+        const issues = await this._searchIssues(signal, progress);
+        const reduced = GitHub._reduceIssues(issues.items);
+        const results = await this._augmentIssues(reduced, issues.repositories, signal, progress);
+
+        return results.sort((a, b) => b.updated_at - a.updated_at);
+    }
+
+    // Counts pull requests opened and merged and issues opened per month
+    // from the first contribution until the current month or the given date.
+    static aggregateTimeline(pullRequests, issues, until) {
+        const months = {};
+        const empty = () => ({pullRequests: 0, merged: 0, issues: 0});
+        const count = (date, key) => {
+            const month = date.slice(0, 7);
+            months[month] = months[month] || empty();
+            months[month][key] += 1;
+        };
+
+        for (const repository of pullRequests) {
+            for (const item of repository.items) {
+                count(item.created_at, 'pullRequests');
+                if (item.state == 'merged') {
+                    count(item.closed_at, 'merged');
+                }
+            }
         }
-        catch (e) {
-            if (e.name == 'AuthorizationError') {
-                GitHub._requestAuthorization();
-                return null;
+        for (const repository of issues) {
+            for (const item of repository.items) {
+                count(item.created_at, 'issues');
             }
-            throw e;
         }
 
-        return results.sort((a, b) => a.updated_at < b.updated_at);
+        const keys = Object.keys(months).sort();
+        if (!keys.length) {
+            return [];
+        }
+
+        const result = [];
+        const last = (until || GitHub._today()).slice(0, 7);
+        const date = new Date(keys[0] + '-01T00:00:00Z');
+
+        for (let month = keys[0]; month <= last; month = date.toISOString().slice(0, 7)) {
+            result.push(Object.assign({month: month}, months[month] || empty()));
+            date.setUTCMonth(date.getUTCMonth() + 1);
+        }
+
+        return result;
     }
 
-    async aggregateIssues() {
-        let results;
+    // Counts contributions per repository language, most used first.
+    // Repositories without a detected language are skipped.
+    static aggregateLanguages(pullRequests, issues) {
+        const languages = {};
+        const get = (repository) => {
+            const language = repository.language;
+            languages[language] = languages[language] || {
+                language: language,
+                pullRequests: 0,
+                merged: 0,
+                issues: 0,
+            };
+            return languages[language];
+        };
 
-        try {
-            const issues = await this._fetchIssues();
-            const reduced = GitHub._reduceIssues(issues);
-            results = await this._augmentIssues(reduced);
+        for (const item of pullRequests.filter((value) => value.repository.language)) {
+            const language = get(item.repository);
+            language.pullRequests += item.open + item.closed + item.merged;
+            language.merged += item.merged;
         }
-        catch (e) {
-            if (e.name == 'AuthorizationError') {
-                GitHub._requestAuthorization();
-                return null;
+        for (const item of issues.filter((value) => value.repository.language)) {
+            get(item.repository).issues += item.open + item.closed;
+        }
+
+        return Object.values(languages).sort((a, b) => {
+            return (b.pullRequests + b.issues) - (a.pullRequests + a.issues) || a.language.localeCompare(b.language);
+        });
+    }
+
+    // Combines contributions of organization members given as
+    // [{author, pullRequests, issues}]. Repositories owned by
+    // the organization itself are not counted.
+    static aggregateOrganization(organization, members) {
+        const owner = organization.toLowerCase() + '/';
+        const isExternal = (item) => !item.repository.full_name.toLowerCase().startsWith(owner);
+        const external = members.map((member) => ({
+            author: member.author,
+            pullRequests: member.pullRequests.filter(isExternal),
+            issues: member.issues.filter(isExternal),
+        }));
+
+        const repositories = GitHub.compareRepositories(external).map((row) => {
+            const result = {
+                repository: row.repository,
+                pullRequests: 0,
+                merged: 0,
+                issues: 0,
+                members: 0,
+            };
+            for (const contributions of row.contributions.filter(Boolean)) {
+                result.pullRequests += contributions.pullRequests;
+                result.merged += contributions.merged;
+                result.issues += contributions.issues;
+                result.members += 1;
+            }
+            return result;
+        }).sort((a, b) => b.merged - a.merged || b.pullRequests + b.issues - a.pullRequests - a.issues);
+
+        const allPullRequests = [].concat(...external.map((member) => member.pullRequests));
+        const allIssues = [].concat(...external.map((member) => member.issues));
+
+        return {
+            summary: GitHub.aggregateSummary(allPullRequests, allIssues),
+            repositories: repositories,
+            members: external.map((member) => ({
+                author: member.author,
+                summary: GitHub.aggregateSummary(member.pullRequests, member.issues),
+            })).sort((a, b) => b.summary.merged - a.summary.merged || a.author.localeCompare(b.author)),
+        };
+    }
+
+    // Sums contributions over all repositories.
+    static aggregateSummary(pullRequests, issues) {
+        const repositories = new Set();
+        const result = {
+            repositories: 0,
+            pullRequests: 0,
+            merged: 0,
+            issues: 0,
+        };
+
+        for (const item of pullRequests) {
+            repositories.add(item.repository.html_url);
+            result.pullRequests += item.open + item.closed + item.merged;
+            result.merged += item.merged;
+        }
+        for (const item of issues) {
+            repositories.add(item.repository.html_url);
+            result.issues += item.open + item.closed;
+        }
+
+        result.repositories = repositories.size;
+        return result;
+    }
+
+    // Joins contributions of several authors by repository. Each row holds
+    // the contributions of every author in the given order or null if there are none.
+    // Repositories most authors contributed to come first.
+    static compareRepositories(authors) {
+        const rows = {};
+
+        authors.forEach((author, index) => {
+            const get = (repository) => {
+                const row = rows[repository.html_url] || {
+                    repository: repository,
+                    contributions: authors.map(() => null),
+                };
+                row.contributions[index] = row.contributions[index] || {pullRequests: 0, merged: 0, issues: 0};
+                rows[repository.html_url] = row;
+                return row.contributions[index];
+            };
+
+            for (const item of author.pullRequests) {
+                const contributions = get(item.repository);
+                contributions.pullRequests += item.open + item.closed + item.merged;
+                contributions.merged += item.merged;
+            }
+            for (const item of author.issues) {
+                get(item.repository).issues += item.open + item.closed;
             }
-            throw e;
+        });
+
+        const count = (row) => row.contributions.filter(Boolean).length;
+        const total = (row) => row.contributions.reduce((sum, value) => {
+            return sum + (value ? value.pullRequests + value.issues : 0);
+        }, 0);
+
+        return Object.values(rows).sort((a, b) => count(b) - count(a) || total(b) - total(a));
+    }
+
+    // Returns logins of the public members of the organization named
+    // by the author or of the given team, which requires authorization.
+    async getMembers(team, signal = null) {
+        if (team && !new RegExp(teamPattern).test(team)) {
+            throw new Error('Invalid team');
         }
 
-        return results.sort((a, b) => a.updated_at < b.updated_at);
+        const url = team ?
+            `${this._instance.apiURL}/orgs/${this._author}/teams/${team}/members?per_page=100` :
+            `${this._instance.apiURL}/orgs/${this._author}/public_members?per_page=100`;
+        const members = await this._fetchList(url, signal);
+        return members.map((member) => member.login);
     }
 
-    async getUser() {
-        let user;
+    // Returns an instance for another author sharing options,
+    // authorization, cache, rate limits and repositories with this one.
+    // Date range and policy can be overridden.
+    forAuthor(author, options = {}) {
+        const github = new GitHub(author, Object.assign({
+            graphQL: this._graphQL,
+            cache: this._cache,
+            policy: this._policy,
+            instance: this._instance,
+            since: this._since,
+            until: this._until,
+        }, options));
+        github._authorizationHeader = this._authorizationHeader;
+        github._rateLimits = this._rateLimits;
+        github._repositories = this._repositories;
+
+        return github;
+    }
 
+    async getUser(signal = null) {
+        let user;
         try {
-            user = await this._fetchJSON('https://api.github.com/users/' + this._author);
+            user = await this._fetchJSON(this._instance.apiURL + '/users/' + this._author, undefined, signal);
         }
         catch (e) {
-            if (e.name == 'AuthorizationError') {
-                GitHub._requestAuthorization();
-                return null;
-            }
-            throw e;
+            throw e.name == 'ResponseError' && e.status == 404 ? new UserNotFoundError(this._author) : e;
         }
 
         return {
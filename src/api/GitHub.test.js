@@ -1,5 +1,8 @@
+import 'fake-indexeddb/auto';
 import 'whatwg-fetch';
-import GitHub from './GitHub';
+import Cache from './Cache';
+import GitHub, {AbortError, AuthorizationError, RateLimitError} from './GitHub';
+import {enterpriseInstance} from './instances';
 
 const paramsGetMock = jest.fn();
 const paramsDeleteMock = jest.fn();
@@ -17,6 +20,14 @@ beforeAll(() => {
         },
     });
 
+    Object.defineProperty(window, 'sessionStorage', {
+        value: {
+            setItem: jest.fn(),
+            getItem: jest.fn(),
+            removeItem: jest.fn(),
+        },
+    });
+
     Object.defineProperty(window.location, 'replace', {
         value: jest.fn(),
     });
@@ -45,26 +56,32 @@ beforeAll(() => {
 
 beforeEach(() => {
     github = new GitHub('test');
+    jest.spyOn(GitHub, '_backoff').mockImplementation(() => Promise.resolve());
 });
 
 afterEach(() => {
+    jest.restoreAllMocks();
     window.fetch.mockReset();
 
     window.localStorage.setItem.mockReset();
     window.localStorage.getItem.mockReset();
     window.localStorage.removeItem.mockReset();
 
+    window.sessionStorage.setItem.mockReset();
+    window.sessionStorage.getItem.mockReset();
+    window.sessionStorage.removeItem.mockReset();
+
     window.location.replace.mockReset();
 
     paramsGetMock.mockReset();
     paramsDeleteMock.mockReset();
 });
 
-function mockResponse(body, headers = {}) {
+function mockResponse(body, headers = {}, status = 200) {
     return new window.Response(
         JSON.stringify(body),
         {
-            status: 200,
+            status: status,
             headers: headers,
         },
     );
@@ -97,11 +114,89 @@ describe('constructor', () => {
     it('saves author', () => {
         expect(new GitHub('test_author').author).toEqual('test_author');
     });
+
+    it('validates date range', () => {
+        function invalidSince() {
+            new GitHub('test', {since: '01/01/2018'});
+        }
+
+        function invalidUntil() {
+            new GitHub('test', {until: '2018-13-01'});
+        }
+
+        function reversedRange() {
+            new GitHub('test', {since: '2018-12-31', until: '2018-01-01'});
+        }
+
+        expect(invalidSince).toThrow('Invalid date range');
+        expect(invalidUntil).toThrow('Invalid date range');
+        expect(reversedRange).toThrow('Invalid date range');
+    });
+
+    it('saves date range', () => {
+        const github = new GitHub('test', {since: '2018-01-01', until: '2018-12-31'});
+        expect(github.since).toEqual('2018-01-01');
+        expect(github.until).toEqual('2018-12-31');
+
+        expect(new GitHub('test').since).toEqual(null);
+        expect(new GitHub('test').until).toEqual(null);
+    });
+
+    it('uses access token', () => {
+        expect(new GitHub('test', {accessToken: 'token'}).authorized).toEqual(true);
+    });
+});
+
+describe('date range', () => {
+    function mockSearch(query) {
+        window.fetch.mockImplementation((url) => {
+            switch (url) {
+            case 'https://api.github.com/search/issues?per_page=100&q=' + encodeURIComponent(query):
+                return mockResponse({items: [{
+                    repository_url: 'https://api.github.com/repos/user/repo1',
+                    author_association: 'CONTRIBUTOR',
+                    state: 'open',
+                    updated_at: new Date(0),
+                }]});
+            case 'https://api.github.com/repos/user/repo1':
+                return mockResponse({
+                    html_url: 'https://github.com/user/repo1',
+                    full_name: 'user/repo1',
+                    stargazers_count: 1,
+                    language: 'Go',
+                });
+            default:
+                return mockResponse({}, {}, 500);
+            }
+        });
+    }
+
+    it('limits searches and links', async () => {
+        github = new GitHub('test', {since: '2018-01-01', until: '2018-12-31'});
+        mockSearch('type:issue author:test created:2018-01-01..2018-12-31');
+
+        const result = await github.aggregateIssues();
+
+        expect(result[0].open_html_url).toEqual(
+            'https://github.com/search?utf8=✓&q=' +
+            encodeURIComponent('author:test type:issue repo:user/repo1 is:open created:2018-01-01..2018-12-31')
+        );
+    });
+
+    it('supports open ranges', async () => {
+        github = new GitHub('test', {since: '2018-01-01'});
+        mockSearch('type:issue author:test created:2018-01-01..*');
+        await expect(github.aggregateIssues()).resolves.toHaveLength(1);
+
+        github = new GitHub('test', {until: '2018-12-31'});
+        mockSearch('type:issue author:test created:*..2018-12-31');
+        await expect(github.aggregateIssues()).resolves.toHaveLength(1);
+    });
 });
 
 describe('aggregatePullRequests', () => {
     it('handles HTTP errors', async () => {
-        window.fetch.mockReturnValueOnce({ok: false});
+        window.fetch.mockImplementation(() => mockResponse({}, {}, 500));
 
         const error = new Error(
             'Could not fetch https://api.github.com/search/issues?per_page=100&q=type%3Apr%20author%3Atest'
@@ -110,7 +205,7 @@ describe('aggregatePullRequests', () => {
     });
 
     it('handles fetch errors', async () => {
-        window.fetch.mockRejectedValueOnce(new Error());
+        window.fetch.mockRejectedValue(new Error());
 
         const error = new Error(
             'Could not fetch https://api.github.com/search/issues?per_page=100&q=type%3Apr%20author%3Atest'
@@ -118,12 +213,14 @@ describe('aggregatePullRequests', () => {
         await expect(github.aggregatePullRequests()).rejects.toEqual(error);
     });
 
-    it('requests authorization if 401 Unauthorized', async () => {
+    it('throws AuthorizationError if 401 Unauthorized', async () => {
         github._authorization = 'token';
-        window.fetch.mockReturnValueOnce({status: 401});
+        window.fetch.mockReturnValueOnce(mockResponse({}, {}, 401));
 
-        await expect(github.aggregatePullRequests()).resolves.toEqual(null);
+        await expect(github.aggregatePullRequests()).rejects.toEqual(new AuthorizationError());
         expect(window.localStorage.removeItem).toHaveBeenCalledWith('access_token');
+        expect(window.location.replace).not.toHaveBeenCalled();
+        expect(github.authorized).toEqual(false);
     });
 
     it('uses authorization header', async () => {
@@ -141,6 +238,7 @@ describe('aggregatePullRequests', () => {
     });
 
     it('fetches pages', async () => {
+        github._authorization = 'token';
         const now = new Date();
         window.fetch.mockImplementation((url) => {
             switch (url) {
@@ -188,7 +286,7 @@ describe('aggregatePullRequests', () => {
                     'merged': false,
                 });
             default:
-                return { ok: false };
+                return mockResponse({}, {}, 500);
             }
         });
 
@@ -204,6 +302,10 @@ describe('aggregatePullRequests', () => {
                 closed: 1,
                 merged: 0,
                 updated_at: now,
+                items: [
+                    {state: 'open'},
+                    {state: 'closed'},
+                ],
                 closed_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3ARepo%201%20is%3Aclosed',
                 open_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3ARepo%201%20is%3Aopen',
                 merged_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3ARepo%201%20is%3Amerged',
@@ -213,7 +315,41 @@ describe('aggregatePullRequests', () => {
         await expect(github.aggregatePullRequests()).resolves.toEqual(result);
     });
 
+    it('reports merge checks', async () => {
+        github._authorization = 'token';
+        window.fetch.mockImplementation((url) => {
+            switch (url) {
+            case 'https://api.github.com/search/issues?per_page=100&q=type%3Apr%20author%3Atest':
+                return mockResponse({items: [1, 2, 3].map((number) => ({
+                    repository_url: 'https://api.github.com/repos/user/repo1',
+                    author_association: 'CONTRIBUTOR',
+                    pull_request: {url: 'https://api.github.com/repos/user/repo1/pulls/' + number},
+                    state: number == 1 ? 'open' : 'closed',
+                    updated_at: new Date(),
+                }))});
+            case 'https://api.github.com/repos/user/repo1':
+                return mockResponse({full_name: 'user/repo1'});
+            default:
+                return mockResponse({merged: url.endsWith('/2')});
+            }
+        });
+        const onProgress = jest.fn();
+
+        const result = await github.aggregatePullRequests(null, onProgress);
+
+        expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({
+            pullRequests: {fetched: 1, total: 2},
+            repositories: {fetched: 0, total: 0},
+        }));
+        expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({
+            pullRequests: {fetched: 2, total: 2},
+            repositories: {fetched: 1, total: 1},
+        }));
+        expect(result[0]).toEqual(expect.objectContaining({open: 1, closed: 1, merged: 1}));
+    });
+
     it('filters owned', async () => {
+        github._authorization = 'token';
         const now = new Date();
         window.fetch.mockImplementation((url) => {
             switch (url) {
@@ -249,7 +385,7 @@ describe('aggregatePullRequests', () => {
                     language: 'JavaScript',
                 });
             default:
-                return { ok: false };
+                return mockResponse({}, {}, 500);
             }
         });
 
@@ -265,6 +401,9 @@ describe('aggregatePullRequests', () => {
                 closed: 0,
                 merged: 0,
                 updated_at: now,
+                items: [
+                    {state: 'open'},
+                ],
                 closed_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3ARepo%201%20is%3Aclosed',
                 open_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3ARepo%201%20is%3Aopen',
                 merged_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3ARepo%201%20is%3Amerged',
@@ -274,7 +413,47 @@ describe('aggregatePullRequests', () => {
         await expect(github.aggregatePullRequests()).resolves.toEqual(result);
     });
 
+    it('applies filter policy', async () => {
+        github = new GitHub('test', {policy: {include: [], exclude: [], owners: [], repositories: ['user/repo1']}});
+        github._authorization = 'token';
+        window.fetch.mockImplementation((url) => {
+            switch (url) {
+            case 'https://api.github.com/search/issues?per_page=100&q=type%3Apr%20author%3Atest':
+                return mockResponse({items: [
+                    {
+                        repository_url: 'https://api.github.com/repos/user/repo1',
+                        author_association: 'CONTRIBUTOR',
+                        pull_request: {url: 'https://api.github.com/repos/user/repo1/pulls/1'},
+                        state: 'open',
+                        updated_at: new Date(),
+                    },
+                    {
+                        repository_url: 'https://api.github.com/repos/user/repo2',
+                        author_association: 'OWNER',
+                        pull_request: {url: 'https://api.github.com/repos/user/repo2/pulls/1'},
+                        state: 'open',
+                        updated_at: new Date(),
+                    },
+                ]});
+            case 'https://api.github.com/repos/user/repo2':
+                return mockResponse({
+                    html_url: 'https://github.com/user/repo2',
+                    full_name: 'user/repo2',
+                    stargazers_count: 0,
+                    language: null,
+                });
+            default:
+                return mockResponse({}, {}, 500);
+            }
+        });
+
+        const result = await github.aggregatePullRequests();
+
+        expect(result.map((item) => item.repository.full_name)).toEqual(['user/repo2']);
+    });
+
     it('aggregates', async () => {
+        github._authorization = 'token';
         window.fetch.mockImplementation((url) => {
             switch (url) {
             case 'https://api.github.com/search/issues?per_page=100&q=type%3Apr%20author%3Atest':
@@ -367,7 +546,7 @@ describe('aggregatePullRequests', () => {
                     language: 'Go',
                 });
             default:
-                return { ok: false };
+                return mockResponse({}, {}, 500);
             }
         });
 
@@ -383,6 +562,10 @@ describe('aggregatePullRequests', () => {
                 closed: 1,
                 merged: 1,
                 updated_at: new Date(6),
+                items: [
+                    {state: 'closed'},
+                    {state: 'merged'},
+                ],
                 closed_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3ARepo%203%20is%3Aclosed',
                 open_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3ARepo%203%20is%3Aopen',
                 merged_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3ARepo%203%20is%3Amerged',
@@ -398,6 +581,10 @@ describe('aggregatePullRequests', () => {
                 closed: 0,
                 merged: 0,
                 updated_at: new Date(4),
+                items: [
+                    {state: 'open'},
+                    {state: 'open'},
+                ],
                 closed_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3ARepo%202%20is%3Aclosed',
                 open_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3ARepo%202%20is%3Aopen',
                 merged_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3ARepo%202%20is%3Amerged',
@@ -413,6 +600,11 @@ describe('aggregatePullRequests', () => {
                 closed: 2,
                 merged: 0,
                 updated_at: new Date(2),
+                items: [
+                    {state: 'open'},
+                    {state: 'closed'},
+                    {state: 'closed'},
+                ],
                 closed_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3ARepo%201%20is%3Aclosed',
                 open_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3ARepo%201%20is%3Aopen',
                 merged_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3ARepo%201%20is%3Amerged',
@@ -421,11 +613,371 @@ describe('aggregatePullRequests', () => {
 
         await expect(github.aggregatePullRequests()).resolves.toEqual(result);
     });
+
+    it('keeps individual pull requests', async () => {
+        github._authorization = 'token';
+        window.fetch.mockImplementation((url) => {
+            switch (url) {
+            case 'https://api.github.com/search/issues?per_page=100&q=type%3Apr%20author%3Atest':
+                return mockResponse({items: [
+                    {
+                        title: 'First',
+                        number: 1,
+                        html_url: 'https://github.com/user/repo1/pull/1',
+                        repository_url: 'https://api.github.com/repos/user/repo1',
+                        author_association: 'CONTRIBUTOR',
+                        pull_request: {url: 'https://api.github.com/repos/user/repo1/pulls/1'},
+                        state: 'closed',
+                        created_at: '2018-01-01T00:00:00Z',
+                        updated_at: '2018-01-02T00:00:00Z',
+                        closed_at: '2018-01-02T00:00:00Z',
+                    },
+                    {
+                        title: 'Second',
+                        number: 2,
+                        html_url: 'https://github.com/user/repo1/pull/2',
+                        repository_url: 'https://api.github.com/repos/user/repo1',
+                        author_association: 'CONTRIBUTOR',
+                        pull_request: {url: 'https://api.github.com/repos/user/repo1/pulls/2'},
+                        state: 'open',
+                        created_at: '2018-02-01T00:00:00Z',
+                        updated_at: '2018-02-01T00:00:00Z',
+                        closed_at: null,
+                    },
+                ]});
+            case 'https://api.github.com/repos/user/repo1/pulls/1':
+                return mockResponse({
+                    'merged': true,
+                });
+            case 'https://api.github.com/repos/user/repo1':
+                return mockResponse({
+                    html_url: 'https://github.com/user/repo1',
+                    full_name: 'user/repo1',
+                    stargazers_count: 1,
+                    language: 'JavaScript',
+                });
+            default:
+                return mockResponse({}, {}, 500);
+            }
+        });
+
+        const result = await github.aggregatePullRequests();
+
+        expect(result[0].items).toEqual([
+            {
+                title: 'Second',
+                number: 2,
+                state: 'open',
+                html_url: 'https://github.com/user/repo1/pull/2',
+                created_at: '2018-02-01T00:00:00Z',
+                closed_at: null,
+            },
+            {
+                title: 'First',
+                number: 1,
+                state: 'merged',
+                html_url: 'https://github.com/user/repo1/pull/1',
+                created_at: '2018-01-01T00:00:00Z',
+                closed_at: '2018-01-02T00:00:00Z',
+            },
+        ]);
+    });
+
+    it('uses GraphQL API when authorized', async () => {
+        github = new GitHub('test', {graphQL: true});
+        github._authorization = 'token';
+
+        const repository1 = {
+            url: 'https://github.com/user/repo1',
+            nameWithOwner: 'user/repo1',
+            stargazerCount: 1,
+            primaryLanguage: {name: 'JavaScript'},
+        };
+        const repository2 = {
+            url: 'https://github.com/user/repo2',
+            nameWithOwner: 'user/repo2',
+            stargazerCount: 2,
+            primaryLanguage: null,
+        };
+
+        window.fetch.mockImplementation((url, init) => {
+            const body = JSON.parse(init.body);
+            expect(url).toEqual('https://api.github.com/graphql');
+            expect(init.method).toEqual('POST');
+            expect(init.headers).toEqual({Authorization: 'token token'});
+            expect(body.variables.query).toEqual('type:pr author:test');
+
+            switch (body.variables.cursor) {
+            case null:
+                return mockResponse({data: {search: {
+                    pageInfo: {hasNextPage: true, endCursor: 'cursor1'},
+                    nodes: [
+                        {
+                            state: 'OPEN',
+                            merged: false,
+                            updatedAt: new Date(0),
+                            authorAssociation: 'CONTRIBUTOR',
+                            repository: repository1,
+                        },
+                        {
+                            state: 'MERGED',
+                            merged: true,
+                            updatedAt: new Date(1),
+                            authorAssociation: 'OWNER',
+                            repository: repository2,
+                        },
+                    ],
+                }}});
+            case 'cursor1':
+                return mockResponse({data: {search: {
+                    pageInfo: {hasNextPage: false, endCursor: 'cursor2'},
+                    nodes: [
+                        {
+                            state: 'MERGED',
+                            merged: true,
+                            updatedAt: new Date(2),
+                            authorAssociation: 'CONTRIBUTOR',
+                            repository: repository1,
+                        },
+                        {
+                            state: 'CLOSED',
+                            merged: false,
+                            updatedAt: new Date(3),
+                            authorAssociation: 'COLLABORATOR',
+                            repository: repository2,
+                        },
+                    ],
+                }}});
+            default:
+                return mockResponse({}, {}, 500);
+            }
+        });
+
+        const result = [
+            {
+                repository: {
+                    html_url: 'https://github.com/user/repo2',
+                    full_name: 'user/repo2',
+                    stargazers_count: 2,
+                    language: null,
+                },
+                open: 0,
+                closed: 1,
+                merged: 0,
+                updated_at: new Date(3),
+                items: [
+                    {state: 'closed'},
+                ],
+                closed_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3Auser%2Frepo2%20is%3Aclosed',
+                open_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3Auser%2Frepo2%20is%3Aopen',
+                merged_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3Auser%2Frepo2%20is%3Amerged',
+            },
+            {
+                repository: {
+                    html_url: 'https://github.com/user/repo1',
+                    full_name: 'user/repo1',
+                    stargazers_count: 1,
+                    language: 'JavaScript',
+                },
+                open: 1,
+                closed: 0,
+                merged: 1,
+                updated_at: new Date(2),
+                items: [
+                    {state: 'open'},
+                    {state: 'merged'},
+                ],
+                closed_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3Auser%2Frepo1%20is%3Aclosed',
+                open_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3Auser%2Frepo1%20is%3Aopen',
+                merged_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Apr%20repo%3Auser%2Frepo1%20is%3Amerged',
+            },
+        ];
+
+        await expect(github.aggregatePullRequests()).resolves.toEqual(result);
+        expect(window.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('uses REST API when not authorized', async () => {
+        github = new GitHub('test', {graphQL: true});
+        window.fetch
+            .mockReturnValueOnce(mockResponse({items: []}))
+            .mockReturnValueOnce(mockResponse({items: []}));
+
+        await expect(github.aggregatePullRequests()).resolves.toEqual([]);
+        expect(window.fetch).toHaveBeenCalledWith(
+            'https://api.github.com/search/issues?per_page=100&q=type%3Apr%20author%3Atest',
+            undefined,
+        );
+    });
+
+    it('searches merged pull requests when not authorized', async () => {
+        window.fetch.mockImplementation((url) => {
+            switch (url) {
+            case 'https://api.github.com/search/issues?per_page=100&q=type%3Apr%20author%3Atest':
+                return mockResponse({items: [1, 2, 3].map((number) => ({
+                    repository_url: 'https://api.github.com/repos/user/repo1',
+                    author_association: 'CONTRIBUTOR',
+                    pull_request: {url: 'https://api.github.com/repos/user/repo1/pulls/' + number},
+                    state: number == 1 ? 'open' : 'closed',
+                    updated_at: new Date(),
+                }))});
+            case 'https://api.github.com/search/issues?per_page=100&q=type%3Apr%20is%3Amerged%20author%3Atest':
+                return mockResponse({items: [
+                    {pull_request: {url: 'https://api.github.com/repos/user/repo1/pulls/2'}},
+                ]});
+            case 'https://api.github.com/repos/user/repo1':
+                return mockResponse({full_name: 'user/repo1'});
+            default:
+                return mockResponse({}, {}, 404);
+            }
+        });
+
+        const result = await github.aggregatePullRequests();
+
+        expect(result[0]).toEqual(expect.objectContaining({open: 1, closed: 1, merged: 1}));
+        expect(window.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('fetches each repository once for all aggregations', async () => {
+        window.fetch.mockImplementation((url) => {
+            if (url == 'https://api.github.com/repos/user/repo1') {
+                return mockResponse({full_name: 'user/repo1'});
+            }
+            return mockResponse({items: [{
+                repository_url: 'https://api.github.com/repos/user/repo1',
+                author_association: 'CONTRIBUTOR',
+                pull_request: {url: 'https://api.github.com/repos/user/repo1/pulls/1'},
+                state: 'open',
+                updated_at: new Date(),
+            }]});
+        });
+
+        await Promise.all([github.aggregatePullRequests(), github.forAuthor('other').aggregatePullRequests()]);
+
+        const urls = window.fetch.mock.calls.map((call) => call[0]);
+        expect(urls.filter((url) => url == 'https://api.github.com/repos/user/repo1')).toHaveLength(1);
+    });
+
+    it('fetches a repository again after it failed', async () => {
+        window.fetch.mockImplementation((url) => {
+            if (url == 'https://api.github.com/repos/user/repo1') {
+                return mockResponse({}, {}, 404);
+            }
+            return mockResponse({items: [{
+                repository_url: 'https://api.github.com/repos/user/repo1',
+                author_association: 'CONTRIBUTOR',
+                pull_request: {url: 'https://api.github.com/repos/user/repo1/pulls/1'},
+                state: 'open',
+                updated_at: new Date(),
+            }]});
+        });
+
+        await expect(github.aggregatePullRequests()).rejects.toHaveProperty('status', 404);
+        await expect(github.aggregatePullRequests()).rejects.toHaveProperty('status', 404);
+
+        const urls = window.fetch.mock.calls.map((call) => call[0]);
+        expect(urls.filter((url) => url == 'https://api.github.com/repos/user/repo1')).toHaveLength(2);
+    });
+
+    it('reports GraphQL progress', async () => {
+        github = new GitHub('test', {graphQL: true});
+        github._authorization = 'token';
+        window.fetch.mockImplementation((url, init) => {
+            const cursor = JSON.parse(init.body).variables.cursor;
+            return mockResponse({data: {search: {
+                issueCount: 150,
+                pageInfo: {hasNextPage: cursor == null, endCursor: 'cursor1'},
+                nodes: [],
+            }}});
+        });
+        const onProgress = jest.fn();
+
+        await github.aggregatePullRequests(null, onProgress);
+
+        expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({pages: {fetched: 1, total: 2}}));
+        expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({
+            pages: {fetched: 2, total: 2},
+            repositories: {fetched: 0, total: 0},
+        }));
+    });
+
+    it('handles GraphQL errors', async () => {
+        github = new GitHub('test', {graphQL: true});
+        github._authorization = 'token';
+        window.fetch.mockReturnValueOnce(mockResponse({
+            errors: [{message: 'Something went wrong'}],
+        }));
+
+        const error = new Error('GitHub API GraphQL error: Something went wrong');
+        await expect(github.aggregatePullRequests()).rejects.toEqual(error);
+    });
+
+    it('raises RateLimitError if GraphQL rate limit is exceeded', async () => {
+        github = new GitHub('test', {graphQL: true});
+        github._authorization = 'token';
+        window.fetch.mockReturnValueOnce(mockResponse({
+            errors: [{type: 'RATE_LIMITED', message: 'API rate limit exceeded'}],
+        }, {
+            'X-RateLimit-Limit': '5000',
+            'X-RateLimit-Remaining': '0',
+            'X-RateLimit-Reset': '1500000000',
+        }));
+
+        const error = await github.aggregatePullRequests().catch((e) => e);
+
+        expect(error).toBeInstanceOf(RateLimitError);
+        expect(error.limit).toEqual(5000);
+        expect(error.remaining).toEqual(0);
+        expect(error.reset).toEqual(new Date(1500000000 * 1000));
+    });
+
+    it('raises RateLimitError if GraphQL rate limit is exceeded without headers', async () => {
+        github = new GitHub('test', {graphQL: true});
+        github._authorization = 'token';
+        window.fetch.mockReturnValueOnce(mockResponse({
+            errors: [{type: 'RATE_LIMITED', message: 'API rate limit exceeded'}],
+        }));
+
+        const error = await github.aggregatePullRequests().catch((e) => e);
+
+        expect(error).toBeInstanceOf(RateLimitError);
+        expect(error.remaining).toEqual(0);
+    });
+
+    it('raises UserNotFoundError if GraphQL does not find the author', async () => {
+        github = new GitHub('test', {graphQL: true});
+        github._authorization = 'token';
+        window.fetch.mockReturnValueOnce(mockResponse({
+            errors: [{type: 'NOT_FOUND', message: 'Could not resolve to a User with the login of \'test\'.'}],
+        }));
+
+        const error = await github.aggregatePullRequests().catch((e) => e);
+
+        expect(error.name).toEqual('UserNotFoundError');
+        expect(error.login).toEqual('test');
+    });
+
+    it('raises UserNotFoundError if GraphQL cannot search the author', async () => {
+        github = new GitHub('test', {graphQL: true});
+        github._authorization = 'token';
+        window.fetch.mockReturnValueOnce(mockResponse({
+            errors: [{
+                type: 'INVALID',
+                message: 'The listed users cannot be searched either because the users do not exist ' +
+                    'or you do not have permission to view the users.',
+            }],
+        }));
+
+        const error = await github.aggregatePullRequests().catch((e) => e);
+
+        expect(error.name).toEqual('UserNotFoundError');
+        expect(error.login).toEqual('test');
+    });
 });
 
 describe('aggregateIssues', () => {
     it('handles HTTP errors', async () => {
-        window.fetch.mockReturnValueOnce({ok: false});
+        window.fetch.mockImplementation(() => mockResponse({}, {}, 500));
 
         const error = new Error(
             'Could not fetch https://api.github.com/search/issues?per_page=100&q=type%3Aissue%20author%3Atest'
@@ -434,7 +986,7 @@ describe('aggregateIssues', () => {
     });
 
     it('handles fetch errors', async () => {
-        window.fetch.mockRejectedValueOnce(new Error());
+        window.fetch.mockRejectedValue(new Error());
 
         const error = new Error(
             'Could not fetch https://api.github.com/search/issues?per_page=100&q=type%3Aissue%20author%3Atest'
@@ -442,12 +994,14 @@ describe('aggregateIssues', () => {
         await expect(github.aggregateIssues()).rejects.toEqual(error);
     });
 
-    it('requests authorization if 401 Unauthorized', async () => {
+    it('throws AuthorizationError if 401 Unauthorized', async () => {
         github._authorization = 'token';
-        window.fetch.mockReturnValueOnce({status: 401});
+        window.fetch.mockReturnValueOnce(mockResponse({}, {}, 401));
 
-        await expect(github.aggregateIssues()).resolves.toEqual(null);
+        await expect(github.aggregateIssues()).rejects.toEqual(new AuthorizationError());
         expect(window.localStorage.removeItem).toHaveBeenCalledWith('access_token');
+        expect(window.location.replace).not.toHaveBeenCalled();
+        expect(github.authorized).toEqual(false);
     });
 
     it('uses authorization header', async () => {
@@ -510,7 +1064,7 @@ describe('aggregateIssues', () => {
                     language: 'JavaScript',
                 });
             default:
-                return {ok: false};
+                return mockResponse({}, {}, 500);
             }
         });
 
@@ -525,6 +1079,10 @@ describe('aggregateIssues', () => {
                 open: 1,
                 closed: 1,
                 updated_at: now,
+                items: [
+                    {state: 'open'},
+                    {state: 'closed'},
+                ],
                 closed_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Aissue%20repo%3ARepo%201%20is%3Aclosed',
                 open_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Aissue%20repo%3ARepo%201%20is%3Aopen',
             },
@@ -568,7 +1126,7 @@ describe('aggregateIssues', () => {
                     language: 'JavaScript',
                 });
             default:
-                return {ok: false};
+                return mockResponse({}, {}, 500);
             }
         });
 
@@ -582,6 +1140,9 @@ describe('aggregateIssues', () => {
             open: 1,
             closed: 0,
             updated_at: now,
+            items: [
+                {state: 'open'},
+            ],
             closed_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Aissue%20repo%3ARepo%201%20is%3Aclosed',
             open_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Aissue%20repo%3ARepo%201%20is%3Aopen',
         }];
@@ -649,7 +1210,7 @@ describe('aggregateIssues', () => {
                     language: 'Go',
                 });
             default:
-                return {ok: false};
+                return mockResponse({}, {}, 500);
             }
         });
 
@@ -664,6 +1225,10 @@ describe('aggregateIssues', () => {
                 open: 0,
                 closed: 2,
                 updated_at: new Date(4),
+                items: [
+                    {state: 'closed'},
+                    {state: 'closed'},
+                ],
                 closed_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Aissue%20repo%3ARepo%203%20is%3Aclosed',
                 open_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Aissue%20repo%3ARepo%203%20is%3Aopen',
             },
@@ -677,6 +1242,9 @@ describe('aggregateIssues', () => {
                 open: 1,
                 closed: 0,
                 updated_at: new Date(2),
+                items: [
+                    {state: 'open'},
+                ],
                 closed_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Aissue%20repo%3ARepo%202%20is%3Aclosed',
                 open_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Aissue%20repo%3ARepo%202%20is%3Aopen',
             },
@@ -690,6 +1258,10 @@ describe('aggregateIssues', () => {
                 open: 1,
                 closed: 1,
                 updated_at: new Date(1),
+                items: [
+                    {state: 'open'},
+                    {state: 'closed'},
+                ],
                 closed_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Aissue%20repo%3ARepo%201%20is%3Aclosed',
                 open_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Aissue%20repo%3ARepo%201%20is%3Aopen',
             },
@@ -697,24 +1269,830 @@ describe('aggregateIssues', () => {
 
         await expect(github.aggregateIssues()).resolves.toEqual(result);
     });
-});
 
-describe('getUser', () => {
-    it('handles HTTP errors', async () => {
-        window.fetch.mockReturnValueOnce({ok: false});
+    it('uses GraphQL API when authorized', async () => {
+        github = new GitHub('test', {graphQL: true});
+        github._authorization = 'token';
 
-        const error = new Error(
-            'Could not fetch https://api.github.com/users/test'
-        );
-        await expect(github.getUser()).rejects.toEqual(error);
-    });
+        window.fetch.mockImplementation((url, init) => {
+            const body = JSON.parse(init.body);
+            expect(body.variables.query).toEqual('type:issue author:test');
 
-    it('requests authorization if 401 Unauthorized', async () => {
+            return mockResponse({data: {search: {
+                pageInfo: {hasNextPage: false, endCursor: null},
+                nodes: [
+                    {
+                        title: 'Issue 1',
+                        number: 1,
+                        url: 'https://github.com/user/repo1/issues/1',
+                        state: 'OPEN',
+                        createdAt: '2018-01-01T00:00:00Z',
+                        updatedAt: new Date(0),
+                        closedAt: null,
+                        authorAssociation: 'CONTRIBUTOR',
+                        repository: {
+                            url: 'https://github.com/user/repo1',
+                            nameWithOwner: 'user/repo1',
+                            stargazerCount: 1,
+                            primaryLanguage: {name: 'Go'},
+                        },
+                    },
+                    {
+                        title: 'Issue 2',
+                        number: 2,
+                        url: 'https://github.com/user/repo1/issues/2',
+                        state: 'CLOSED',
+                        createdAt: '2018-02-01T00:00:00Z',
+                        updatedAt: new Date(1),
+                        closedAt: '2018-03-01T00:00:00Z',
+                        authorAssociation: 'CONTRIBUTOR',
+                        repository: {
+                            url: 'https://github.com/user/repo1',
+                            nameWithOwner: 'user/repo1',
+                            stargazerCount: 1,
+                            primaryLanguage: {name: 'Go'},
+                        },
+                    },
+                ],
+            }}});
+        });
+
+        const result = [{
+            repository: {
+                html_url: 'https://github.com/user/repo1',
+                full_name: 'user/repo1',
+                stargazers_count: 1,
+                language: 'Go',
+            },
+            open: 1,
+            closed: 1,
+            updated_at: new Date(1),
+            items: [
+                {
+                    title: 'Issue 2',
+                    number: 2,
+                    state: 'closed',
+                    html_url: 'https://github.com/user/repo1/issues/2',
+                    created_at: '2018-02-01T00:00:00Z',
+                    closed_at: '2018-03-01T00:00:00Z',
+                },
+                {
+                    title: 'Issue 1',
+                    number: 1,
+                    state: 'open',
+                    html_url: 'https://github.com/user/repo1/issues/1',
+                    created_at: '2018-01-01T00:00:00Z',
+                    closed_at: null,
+                },
+            ],
+            closed_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Aissue%20repo%3Auser%2Frepo1%20is%3Aclosed',
+            open_html_url: 'https://github.com/search?utf8=✓&q=author%3Atest%20type%3Aissue%20repo%3Auser%2Frepo1%20is%3Aopen',
+        }];
+
+        await expect(github.aggregateIssues()).resolves.toEqual(result);
+        expect(window.fetch).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('aggregateReviews', () => {
+    const searchURL = 'https://api.github.com/search/issues?per_page=100&q=' +
+        'type%3Apr%20reviewed-by%3Atest%20-author%3Atest%20-user%3Atest';
+    const mergedURL = 'https://api.github.com/search/issues?per_page=100&q=' +
+        'type%3Apr%20is%3Amerged%20reviewed-by%3Atest%20-author%3Atest%20-user%3Atest';
+
+    function mockReviews() {
+        const now = new Date();
+        window.fetch.mockImplementation((url) => {
+            switch (url) {
+            case searchURL:
+                return mockResponse({items: [
+                    {
+                        repository_url: 'https://api.github.com/repos/org/repo1',
+                        author_association: 'MEMBER',
+                        pull_request: {url: 'https://api.github.com/repos/org/repo1/pulls/1'},
+                        state: 'open',
+                        updated_at: now,
+                    },
+                    {
+                        repository_url: 'https://api.github.com/repos/org/repo1',
+                        author_association: 'OWNER',
+                        pull_request: {url: 'https://api.github.com/repos/org/repo1/pulls/2'},
+                        state: 'closed',
+                        updated_at: now,
+                    },
+                    {
+                        repository_url: 'https://api.github.com/repos/other/repo2',
+                        author_association: 'CONTRIBUTOR',
+                        pull_request: {url: 'https://api.github.com/repos/other/repo2/pulls/3'},
+                        state: 'open',
+                        updated_at: new Date(0),
+                    },
+                    {
+                        repository_url: 'https://api.github.com/repos/other/repo3',
+                        author_association: 'CONTRIBUTOR',
+                        pull_request: {url: 'https://api.github.com/repos/other/repo3/pulls/4'},
+                        state: 'open',
+                        updated_at: now,
+                    },
+                ]});
+            case 'https://api.github.com/repos/org/repo1':
+                return mockResponse({
+                    html_url: 'https://github.com/org/repo1',
+                    full_name: 'org/repo1',
+                    stargazers_count: 1,
+                    language: 'Go',
+                });
+            case 'https://api.github.com/repos/other/repo2':
+                return mockResponse({
+                    html_url: 'https://github.com/other/repo2',
+                    full_name: 'other/repo2',
+                    stargazers_count: 2,
+                    language: null,
+                });
+            case mergedURL:
+                return mockResponse({items: [
+                    {
+                        repository_url: 'https://api.github.com/repos/org/repo1',
+                        pull_request: {url: 'https://api.github.com/repos/org/repo1/pulls/2'},
+                        state: 'closed',
+                    },
+                ]});
+            default:
+                return mockResponse({}, {}, 404);
+            }
+        });
+        return now;
+    }
+
+    it('aggregates pull requests of others reviewed by the author', async () => {
+        const now = mockReviews();
+        github = new GitHub('test', {policy: {include: [], exclude: ['OWNER', 'MEMBER'], owners: [], repositories: ['other/repo3']}});
+
+        const query = 'reviewed-by%3Atest%20-author%3Atest%20-user%3Atest%20type%3Apr%20repo%3Aorg%2Frepo1';
+        const result = await github.aggregateReviews();
+
+        expect(result).toHaveLength(2);
+        expect(result[1].repository.full_name).toEqual('other/repo2');
+        expect(result.slice(0, 1)).toEqual([
+            {
+                repository: {
+                    html_url: 'https://github.com/org/repo1',
+                    full_name: 'org/repo1',
+                    stargazers_count: 1,
+                    language: 'Go',
+                },
+                open: 1,
+                closed: 0,
+                merged: 1,
+                updated_at: now,
+                items: [
+                    {state: 'open'},
+                    {state: 'merged'},
+                ],
+                open_html_url: 'https://github.com/search?utf8=✓&q=' + query + '%20is%3Aopen',
+                closed_html_url: 'https://github.com/search?utf8=✓&q=' + query + '%20is%3Aclosed',
+                merged_html_url: 'https://github.com/search?utf8=✓&q=' + query + '%20is%3Amerged',
+            },
+        ]);
+    });
+
+    it('searches merged pull requests instead of checking each one', async () => {
+        mockReviews();
+        github = new GitHub('test', {policy: {include: [], exclude: [], owners: [], repositories: ['other/repo3']}});
+
+        await github.aggregateReviews();
+
+        const urls = window.fetch.mock.calls.map((call) => call[0]);
+        expect(urls).toContain(mergedURL);
+        expect(urls.filter((url) => url.includes('/pulls/'))).toEqual([]);
+    });
+
+    it('limits searches and links to the date range', async () => {
+        github = new GitHub('test', {since: '2018-01-01'});
+        window.fetch
+            .mockReturnValueOnce(mockResponse({items: []}))
+            .mockReturnValueOnce(mockResponse({items: []}));
+
+        await expect(github.aggregateReviews()).resolves.toEqual([]);
+        expect(window.fetch.mock.calls[0][0]).toEqual(searchURL + '%20created%3A2018-01-01..*');
+        expect(window.fetch.mock.calls[1][0]).toEqual(mergedURL + '%20created%3A2018-01-01..*');
+    });
+});
+
+describe('pagination', () => {
+    const url = 'https://api.github.com/search/issues?per_page=100&q=type%3Aissue%20author%3Atest';
+
+    function mockItem(id) {
+        return {
+            repository_url: 'https://api.github.com/repos/user/repo' + id,
+            author_association: 'CONTRIBUTOR',
+            state: 'open',
+            updated_at: new Date(id),
+        };
+    }
+
+    function mockRepository(url) {
+        const name = url.split('/').pop();
+        return mockResponse({
+            html_url: 'https://github.com/user/' + name,
+            full_name: 'user/' + name,
+            stargazers_count: 0,
+            language: null,
+        });
+    }
+
+    it('fetches the rest of pages in parallel', async () => {
+        window.fetch.mockImplementation((requestURL) => {
+            if (requestURL == url) {
+                return mockResponse({items: [mockItem(1)]}, {
+                    'Link':
+                        `<${url}&page=2>; rel="next", <${url}&page=6>; rel="last", ` +
+                        `<${url}&page=7>; rel="last nofollow"`,
+                });
+            }
+
+            const page = /&page=(\d+)$/.exec(requestURL);
+            if (page) {
+                return mockResponse({items: [mockItem(Number(page[1]))]});
+            }
+
+            return mockRepository(requestURL);
+        });
+
+        const result = await github.aggregateIssues();
+
+        expect(result.map((item) => item.repository.full_name)).toEqual([
+            'user/repo6',
+            'user/repo5',
+            'user/repo4',
+            'user/repo3',
+            'user/repo2',
+            'user/repo1',
+        ]);
+        expect(window.fetch.mock.calls.slice(0, 6).map((call) => call[0])).toEqual([
+            url,
+            url + '&page=2',
+            url + '&page=3',
+            url + '&page=4',
+            url + '&page=5',
+            url + '&page=6',
+        ]);
+    });
+
+    it('follows next links if the last page is unknown', async () => {
+        window.fetch.mockImplementation((requestURL) => {
+            switch (requestURL) {
+            case url:
+                return mockResponse({items: [mockItem(1)]}, {
+                    'Link': `<${url}&cursor=2>; rel="next"`,
+                });
+            case url + '&cursor=2':
+                return mockResponse({items: [mockItem(2)]}, {
+                    'Link': `<${url}&cursor=3>; rel="next", <${url}>; rel="first"`,
+                });
+            case url + '&cursor=3':
+                return mockResponse({items: [mockItem(3)]}, {
+                    'Link': `<${url}>; rel="first"`,
+                });
+            default:
+                return mockRepository(requestURL);
+            }
+        });
+
+        const result = await github.aggregateIssues();
+
+        expect(result.map((item) => item.repository.full_name)).toEqual([
+            'user/repo3',
+            'user/repo2',
+            'user/repo1',
+        ]);
+    });
+
+    it('reports progress', async () => {
+        window.fetch.mockImplementation((requestURL) => {
+            if (requestURL == url) {
+                return mockResponse({items: [mockItem(1)]}, {
+                    'Link': `<${url}&page=2>; rel="next", <${url}&page=3>; rel="last"`,
+                });
+            }
+
+            const page = /&page=(\d+)$/.exec(requestURL);
+            if (page) {
+                return mockResponse({items: [mockItem(Number(page[1]))]});
+            }
+
+            return mockRepository(requestURL);
+        });
+        const onProgress = jest.fn();
+
+        await github.aggregateIssues(null, onProgress);
+
+        expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({
+            pages: {fetched: 1, total: 1},
+            results: [],
+        }));
+        expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({
+            pages: {fetched: 1, total: 3},
+        }));
+        expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({
+            repositories: {fetched: 1, total: 3},
+            results: [expect.objectContaining({open: 1})],
+        }));
+        expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({
+            pages: {fetched: 3, total: 3},
+            repositories: {fetched: 3, total: 3},
+        }));
+    });
+
+    it('reports progress following next links', async () => {
+        window.fetch.mockImplementation((requestURL) => {
+            switch (requestURL) {
+            case url:
+                return mockResponse({items: [mockItem(1)]}, {
+                    'Link': `<${url}&cursor=2>; rel="next"`,
+                });
+            case url + '&cursor=2':
+                return mockResponse({items: [mockItem(2)]});
+            default:
+                return mockRepository(requestURL);
+            }
+        });
+        const onProgress = jest.fn();
+
+        await github.aggregateIssues(null, onProgress);
+
+        expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({
+            pages: {fetched: 2, total: 2},
+            repositories: {fetched: 2, total: 2},
+        }));
+    });
+
+    it('limits concurrency', async () => {
+        let running = 0;
+        let maxRunning = 0;
+
+        const result = await GitHub._mapConcurrently([5, 1, 3, 2, 4], 2, async (value) => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise((resolve) => setTimeout(resolve, value));
+            running--;
+            return value * 10;
+        });
+
+        expect(result).toEqual([50, 10, 30, 20, 40]);
+        expect(maxRunning).toEqual(2);
+    });
+});
+
+describe('search', () => {
+    const repository = {
+        html_url: 'https://github.com/user/repo1',
+        full_name: 'user/repo1',
+        stargazers_count: 1,
+        language: 'JavaScript',
+    };
+
+    function mockItem(id) {
+        return {
+            id: id,
+            repository_url: 'https://api.github.com/repos/user/repo1',
+            author_association: 'CONTRIBUTOR',
+            state: 'open',
+            updated_at: new Date(id),
+        };
+    }
+
+    // Search results by query with the total number of matches. The whole range
+    // is split right away, it is not searched again as a window.
+    const results = {
+        'type:issue author:test': [1500, [mockItem(1)]],
+        'type:issue author:test created:2008-01-03..2008-01-04': [1100, [mockItem(3)]],
+        'type:issue author:test created:2008-01-01..2008-01-02': [600, [mockItem(1), mockItem(2)]],
+        'type:issue author:test created:2008-01-03..2008-01-03': [1001, [mockItem(2), mockItem(3)]],
+        'type:issue author:test created:2008-01-04..2008-01-04': [1, [mockItem(4)]],
+    };
+
+    beforeEach(() => {
+        jest.spyOn(GitHub, '_today').mockReturnValue('2008-01-04');
+    });
+
+    afterEach(() => {
+        GitHub._today.mockRestore();
+    });
+
+    it('splits queries into created date windows', async () => {
+        window.fetch.mockImplementation((url) => {
+            if (url == 'https://api.github.com/repos/user/repo1') {
+                return mockResponse(repository);
+            }
+
+            const query = decodeURIComponent(/&q=([^&]+)/.exec(url)[1]);
+            return mockResponse({
+                total_count: results[query][0],
+                items: results[query][1],
+            });
+        });
+
+        const result = await github.aggregateIssues();
+
+        expect(result).toEqual([expect.objectContaining({
+            repository: repository,
+            open: 4,
+            closed: 0,
+            updated_at: new Date(4),
+        })]);
+        expect(window.fetch).toHaveBeenCalledTimes(Object.keys(results).length + 1);
+    });
+
+    it('splits GraphQL queries into created date windows', async () => {
+        github = new GitHub('test', {graphQL: true});
+        github._authorization = 'token';
+
+        window.fetch.mockImplementation((url, init) => {
+            const query = JSON.parse(init.body).variables.query;
+            return mockResponse({data: {search: {
+                issueCount: results[query][0],
+                pageInfo: {hasNextPage: false, endCursor: null},
+                nodes: results[query][1].map((item) => ({
+                    id: String(item.id),
+                    state: 'OPEN',
+                    updatedAt: item.updated_at,
+                    authorAssociation: 'CONTRIBUTOR',
+                    repository: {
+                        url: 'https://github.com/user/repo' + item.id,
+                        nameWithOwner: 'user/repo' + item.id,
+                        stargazerCount: item.id,
+                        primaryLanguage: null,
+                    },
+                })),
+            }}});
+        });
+
+        const result = await github.aggregateIssues();
+
+        expect(result.map((item) => item.repository.full_name)).toEqual([
+            'user/repo4',
+            'user/repo3',
+            'user/repo2',
+            'user/repo1',
+        ]);
+        expect(window.fetch).toHaveBeenCalledTimes(Object.keys(results).length);
+    });
+
+    it('splits date range into windows', async () => {
+        github = new GitHub('test', {since: '2008-01-03', until: '2008-01-04'});
+
+        window.fetch.mockImplementation((url) => {
+            if (url == 'https://api.github.com/repos/user/repo1') {
+                return mockResponse(repository);
+            }
+
+            const query = decodeURIComponent(/&q=([^&]+)/.exec(url)[1]);
+            return mockResponse({
+                total_count: results[query][0],
+                items: results[query][1],
+            });
+        });
+
+        const result = await github.aggregateIssues();
+
+        expect(result[0].open).toEqual(3);
+        expect(GitHub._today).not.toHaveBeenCalled();
+        expect(window.fetch).toHaveBeenCalledTimes(4);
+    });
+
+    it('fetches all results of a single day range', async () => {
+        github = new GitHub('test', {since: '2008-01-03', until: '2008-01-03'});
+
+        window.fetch.mockImplementation((url) => {
+            if (url == 'https://api.github.com/repos/user/repo1') {
+                return mockResponse(repository);
+            }
+
+            const query = decodeURIComponent(/&q=([^&]+)/.exec(url)[1]);
+            return mockResponse({
+                total_count: results[query][0],
+                items: results[query][1],
+            });
+        });
+
+        const result = await github.aggregateIssues();
+
+        expect(result[0].open).toEqual(2);
+        expect(window.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('splits windows in halves', () => {
+        expect(GitHub._splitWindow('2008-01-01', '2008-01-02')).toEqual([
+            ['2008-01-01', '2008-01-01'],
+            ['2008-01-02', '2008-01-02'],
+        ]);
+        expect(GitHub._splitWindow('2008-01-01', '2008-01-03')).toEqual([
+            ['2008-01-01', '2008-01-02'],
+            ['2008-01-03', '2008-01-03'],
+        ]);
+        expect(GitHub._splitWindow('2008-12-31', '2018-10-11')).toEqual([
+            ['2008-12-31', '2013-11-20'],
+            ['2013-11-21', '2018-10-11'],
+        ]);
+    });
+});
+
+describe('today', () => {
+    it('returns the current date', () => {
+        expect(GitHub._today()).toEqual(new Date().toISOString().slice(0, 10));
+    });
+});
+
+describe('aggregateTimeline', () => {
+    beforeEach(() => {
+        jest.spyOn(GitHub, '_today').mockReturnValue('2018-03-15');
+    });
+
+    afterEach(() => {
+        GitHub._today.mockRestore();
+    });
+
+    it('handles no contributions', () => {
+        expect(GitHub.aggregateTimeline([], [])).toEqual([]);
+    });
+
+    it('counts contributions per month', () => {
+        const pullRequests = [
+            {items: [
+                {state: 'merged', created_at: '2017-11-30T23:00:00Z', closed_at: '2018-01-02T00:00:00Z'},
+                {state: 'open', created_at: '2018-01-10T00:00:00Z', closed_at: null},
+            ]},
+            {items: [
+                {state: 'closed', created_at: '2018-01-11T00:00:00Z', closed_at: '2018-01-12T00:00:00Z'},
+            ]},
+        ];
+        const issues = [
+            {items: [
+                {state: 'open', created_at: '2017-12-01T00:00:00Z', closed_at: null},
+            ]},
+        ];
+
+        expect(GitHub.aggregateTimeline(pullRequests, issues)).toEqual([
+            {month: '2017-11', pullRequests: 1, merged: 0, issues: 0},
+            {month: '2017-12', pullRequests: 0, merged: 0, issues: 1},
+            {month: '2018-01', pullRequests: 2, merged: 1, issues: 0},
+            {month: '2018-02', pullRequests: 0, merged: 0, issues: 0},
+            {month: '2018-03', pullRequests: 0, merged: 0, issues: 0},
+        ]);
+    });
+
+    it('ends at the given date', () => {
+        const issues = [
+            {items: [
+                {state: 'open', created_at: '2017-12-01T00:00:00Z', closed_at: null},
+            ]},
+        ];
+
+        expect(GitHub.aggregateTimeline([], issues, '2018-01-31')).toEqual([
+            {month: '2017-12', pullRequests: 0, merged: 0, issues: 1},
+            {month: '2018-01', pullRequests: 0, merged: 0, issues: 0},
+        ]);
+    });
+});
+
+describe('aggregateLanguages', () => {
+    it('handles no contributions', () => {
+        expect(GitHub.aggregateLanguages([], [])).toEqual([]);
+    });
+
+    it('counts contributions per language', () => {
+        const pullRequests = [
+            {repository: {language: 'Go'}, open: 1, closed: 1, merged: 2},
+            {repository: {language: 'Python'}, open: 0, closed: 0, merged: 1},
+            {repository: {language: 'Go'}, open: 1, closed: 0, merged: 0},
+            {repository: {language: null}, open: 3, closed: 0, merged: 0},
+        ];
+        const issues = [
+            {repository: {language: 'Python'}, open: 1, closed: 2},
+            {repository: {language: 'C'}, open: 1, closed: 0},
+            {repository: {language: 'Assembly'}, open: 0, closed: 1},
+            {repository: {language: null}, open: 5, closed: 0},
+        ];
+
+        expect(GitHub.aggregateLanguages(pullRequests, issues)).toEqual([
+            {language: 'Go', pullRequests: 5, merged: 2, issues: 0},
+            {language: 'Python', pullRequests: 1, merged: 1, issues: 3},
+            {language: 'Assembly', pullRequests: 0, merged: 0, issues: 1},
+            {language: 'C', pullRequests: 0, merged: 0, issues: 1},
+        ]);
+    });
+});
+
+describe('aggregateSummary', () => {
+    it('sums contributions', () => {
+        const pullRequests = [
+            {repository: {html_url: 'https://github.com/user/repo1'}, open: 1, closed: 1, merged: 2},
+            {repository: {html_url: 'https://github.com/user/repo2'}, open: 0, closed: 0, merged: 1},
+        ];
+        const issues = [
+            {repository: {html_url: 'https://github.com/user/repo2'}, open: 1, closed: 2},
+            {repository: {html_url: 'https://github.com/user/repo3'}, open: 1, closed: 0},
+        ];
+
+        expect(GitHub.aggregateSummary(pullRequests, issues)).toEqual({
+            repositories: 3,
+            pullRequests: 5,
+            merged: 3,
+            issues: 4,
+        });
+    });
+});
+
+describe('compareRepositories', () => {
+    it('joins contributions by repository', () => {
+        const repo1 = {html_url: 'https://github.com/user/repo1'};
+        const repo2 = {html_url: 'https://github.com/user/repo2'};
+        const repo3 = {html_url: 'https://github.com/user/repo3'};
+
+        const authors = [
+            {
+                pullRequests: [
+                    {repository: repo1, open: 1, closed: 0, merged: 1},
+                    {repository: repo3, open: 0, closed: 0, merged: 1},
+                ],
+                issues: [
+                    {repository: repo1, open: 1, closed: 1},
+                ],
+            },
+            {
+                pullRequests: [
+                    {repository: repo2, open: 5, closed: 0, merged: 0},
+                ],
+                issues: [
+                    {repository: repo3, open: 1, closed: 0},
+                ],
+            },
+        ];
+
+        expect(GitHub.compareRepositories(authors)).toEqual([
+            {
+                repository: repo3,
+                contributions: [
+                    {pullRequests: 1, merged: 1, issues: 0},
+                    {pullRequests: 0, merged: 0, issues: 1},
+                ],
+            },
+            {
+                repository: repo2,
+                contributions: [
+                    null,
+                    {pullRequests: 5, merged: 0, issues: 0},
+                ],
+            },
+            {
+                repository: repo1,
+                contributions: [
+                    {pullRequests: 2, merged: 1, issues: 2},
+                    null,
+                ],
+            },
+        ]);
+    });
+});
+
+describe('aggregateOrganization', () => {
+    it('combines external contributions of members', () => {
+        const own = {html_url: 'https://github.com/Org/tools', full_name: 'Org/tools'};
+        const repo1 = {html_url: 'https://github.com/user/repo1', full_name: 'user/repo1'};
+        const repo2 = {html_url: 'https://github.com/user/repo2', full_name: 'user/repo2'};
+
+        const members = [
+            {
+                author: 'b',
+                pullRequests: [
+                    {repository: own, open: 0, closed: 0, merged: 5},
+                    {repository: repo1, open: 1, closed: 0, merged: 1},
+                ],
+                issues: [],
+            },
+            {
+                author: 'a',
+                pullRequests: [
+                    {repository: repo1, open: 0, closed: 0, merged: 1},
+                ],
+                issues: [
+                    {repository: repo2, open: 1, closed: 1},
+                ],
+            },
+            {
+                author: 'c',
+                pullRequests: [
+                    {repository: repo2, open: 0, closed: 1, merged: 2},
+                ],
+                issues: [],
+            },
+        ];
+
+        expect(GitHub.aggregateOrganization('org', members)).toEqual({
+            summary: {repositories: 2, pullRequests: 6, merged: 4, issues: 2},
+            repositories: [
+                {repository: repo2, pullRequests: 3, merged: 2, issues: 2, members: 2},
+                {repository: repo1, pullRequests: 3, merged: 2, issues: 0, members: 2},
+            ],
+            members: [
+                {author: 'c', summary: {repositories: 1, pullRequests: 3, merged: 2, issues: 0}},
+                {author: 'a', summary: {repositories: 2, pullRequests: 1, merged: 1, issues: 2}},
+                {author: 'b', summary: {repositories: 1, pullRequests: 2, merged: 1, issues: 0}},
+            ],
+        });
+    });
+});
+
+describe('getMembers', () => {
+    it('fetches public members', async () => {
+        window.fetch.mockReturnValueOnce(mockResponse([{login: 'a'}], {
+            'Link': '<https://api.github.com/organizations/1/public_members?per_page=100&page=2>; rel="next"',
+        }));
+        window.fetch.mockReturnValueOnce(mockResponse([{login: 'b'}]));
+
+        await expect(github.getMembers()).resolves.toEqual(['a', 'b']);
+        expect(window.fetch.mock.calls.map((call) => call[0])).toEqual([
+            'https://api.github.com/orgs/test/public_members?per_page=100',
+            'https://api.github.com/organizations/1/public_members?per_page=100&page=2',
+        ]);
+    });
+
+    it('fetches team members', async () => {
+        window.fetch.mockReturnValueOnce(mockResponse([{login: 'a'}]));
+
+        await expect(github.getMembers('team')).resolves.toEqual(['a']);
+        expect(window.fetch.mock.calls[0][0]).toEqual('https://api.github.com/orgs/test/teams/team/members?per_page=100');
+    });
+
+    it('validates team', async () => {
+        await expect(github.getMembers('a/b')).rejects.toEqual(new Error('Invalid team'));
+        expect(window.fetch).not.toHaveBeenCalled();
+    });
+
+    it('handles HTTP errors', async () => {
+        window.fetch.mockImplementation(() => mockResponse({}, {}, 500));
+
+        const error = new Error(
+            'Could not fetch https://api.github.com/orgs/test/public_members?per_page=100'
+        );
+        await expect(github.getMembers()).rejects.toEqual(error);
+    });
+
+    it('throws AuthorizationError if 401 Unauthorized', async () => {
+        window.fetch.mockReturnValueOnce(mockResponse({}, {}, 401));
+
+        await expect(github.getMembers('team')).rejects.toEqual(new AuthorizationError());
+        expect(window.localStorage.removeItem).not.toHaveBeenCalled();
+    });
+});
+
+describe('forAuthor', () => {
+    it('shares state with the new instance', () => {
+        const cache = new Cache(1000);
+        const org = new GitHub('org', {graphQL: true, cache: cache, since: '2018-01-01', until: '2018-12-31'});
+        org._authorization = 'token';
+
+        const member = org.forAuthor('member');
+
+        expect(member.author).toEqual('member');
+        expect(member.since).toEqual('2018-01-01');
+        expect(member.until).toEqual('2018-12-31');
+        expect(member._useGraphQL).toEqual(true);
+        expect(member._cache).toBe(cache);
+        expect(member._rateLimits).toBe(org._rateLimits);
+    });
+
+    it('overrides options', () => {
+        const github = new GitHub('test', {since: '2018-01-01'});
+        const policy = {include: [], exclude: [], owners: [], repositories: []};
+
+        const other = github.forAuthor('other', {since: null, until: '2018-12-31', policy: policy});
+
+        expect(other.since).toEqual(null);
+        expect(other.until).toEqual('2018-12-31');
+        expect(other._policy).toBe(policy);
+    });
+});
+
+describe('getUser', () => {
+    it('handles HTTP errors', async () => {
+        window.fetch.mockImplementation(() => mockResponse({}, {}, 500));
+
+        const error = new Error(
+            'Could not fetch https://api.github.com/users/test'
+        );
+        await expect(github.getUser()).rejects.toEqual(error);
+    });
+
+    it('throws AuthorizationError if 401 Unauthorized', async () => {
         github._authorization = 'token';
-        window.fetch.mockReturnValueOnce({status: 401});
+        window.fetch.mockReturnValueOnce(mockResponse({}, {}, 401));
 
-        await expect(github.getUser()).resolves.toEqual(null);
+        await expect(github.getUser()).rejects.toEqual(new AuthorizationError());
         expect(window.localStorage.removeItem).toHaveBeenCalledWith('access_token');
+        expect(window.location.replace).not.toHaveBeenCalled();
+        expect(github.authorized).toEqual(false);
     });
 
     it('uses authorization header', async () => {
@@ -732,22 +2110,458 @@ describe('getUser', () => {
     });
 });
 
+describe('rate limit', () => {
+    const url = 'https://api.github.com/users/test';
+    const user = {
+        login: 'test',
+        html_url: 'https://github.com/test',
+    };
+
+    function rateLimitHeaders(remaining, reset) {
+        return {
+            'X-RateLimit-Limit': '60',
+            'X-RateLimit-Remaining': String(remaining),
+            'X-RateLimit-Reset': String(reset),
+        };
+    }
+
+    beforeEach(() => {
+        jest.spyOn(GitHub, '_sleep').mockImplementation(() => Promise.resolve());
+    });
+
+    afterEach(() => {
+        GitHub._sleep.mockRestore();
+    });
+
+    it('raises RateLimitError if exceeded', async () => {
+        window.fetch.mockReturnValueOnce(mockResponse({}, rateLimitHeaders(0, 1500000000), 403));
+
+        const error = await github.getUser().catch((e) => e);
+
+        expect(error).toBeInstanceOf(Error);
+        expect(error).toBeInstanceOf(RateLimitError);
+        expect(error.name).toEqual('RateLimitError');
+        expect(error.limit).toEqual(60);
+        expect(error.remaining).toEqual(0);
+        expect(error.reset).toEqual(new Date(1500000000 * 1000));
+    });
+
+    it('raises RateLimitError if asked to retry later', async () => {
+        window.fetch.mockReturnValueOnce(mockResponse({}, {'Retry-After': '60'}, 429));
+
+        const error = await github.getUser().catch((e) => e);
+
+        expect(error).toBeInstanceOf(RateLimitError);
+        expect(error.remaining).toEqual(0);
+        expect(error.reset.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('does not confuse other 403 errors with rate limit', async () => {
+        window.fetch
+            .mockReturnValueOnce(mockResponse({}, {}, 403))
+            .mockReturnValueOnce(mockResponse({}, rateLimitHeaders(10, 1500000000), 403));
+
+        const error = new Error('Could not fetch ' + url);
+        await expect(github.getUser()).rejects.toEqual(error);
+        await expect(github.getUser()).rejects.toEqual(error);
+    });
+
+    it('does not send requests until reset', async () => {
+        const reset = Math.ceil(Date.now() / 1000) + 60;
+        window.fetch.mockReturnValueOnce(mockResponse({}, rateLimitHeaders(0, reset), 403));
+
+        await expect(github.getUser()).rejects.toBeInstanceOf(RateLimitError);
+        await expect(github.getUser()).rejects.toBeInstanceOf(RateLimitError);
+        expect(window.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('forgets rate limit after reset', async () => {
+        window.fetch
+            .mockReturnValueOnce(mockResponse({}, rateLimitHeaders(0, 1500000000), 403))
+            .mockReturnValueOnce(mockResponse(user));
+
+        await expect(github.getUser()).rejects.toBeInstanceOf(RateLimitError);
+        await expect(github.getUser()).resolves.toEqual(user);
+    });
+
+    it('does not throttle requests if there is enough budget', async () => {
+        const reset = Math.ceil(Date.now() / 1000) + 60;
+        window.fetch.mockImplementation(() => mockResponse(user, rateLimitHeaders(30, reset)));
+
+        await github.getUser();
+        await github.getUser();
+
+        expect(GitHub._sleep).not.toHaveBeenCalled();
+    });
+
+    it('throttles requests if the budget is running out', async () => {
+        const reset = Math.ceil(Date.now() / 1000) + 60;
+        window.fetch.mockImplementation(() => mockResponse(user, rateLimitHeaders(5, reset)));
+
+        await github.getUser();
+        await github.getUser();
+
+        expect(GitHub._sleep).toHaveBeenCalledTimes(1);
+        expect(GitHub._sleep.mock.calls[0][0]).toBeLessThanOrEqual(2000);
+    });
+
+    it('tracks rate limits separately', async () => {
+        const reset = Math.ceil(Date.now() / 1000) + 60;
+        window.fetch
+            .mockReturnValueOnce(mockResponse({}, rateLimitHeaders(0, reset), 403))
+            .mockReturnValueOnce(mockResponse(user));
+
+        await expect(github.aggregateIssues()).rejects.toBeInstanceOf(RateLimitError);
+        await expect(github.getUser()).resolves.toEqual(user);
+    });
+});
+
+describe('sleep', () => {
+    it('resolves after timeout', async () => {
+        jest.useFakeTimers();
+
+        const sleep = GitHub._sleep(1000);
+        jest.runAllTimers();
+
+        await expect(sleep).resolves.toEqual(undefined);
+        jest.useRealTimers();
+    });
+});
+
+describe('retry', () => {
+    const url = 'https://api.github.com/users/test';
+    const searchURL = 'https://api.github.com/search/issues?per_page=100&q=type%3Apr%20author%3Atest';
+
+    it('retries transient failures with backoff', async () => {
+        window.fetch
+            .mockReturnValueOnce(Promise.reject(new Error()))
+            .mockReturnValueOnce(mockResponse({}, {}, 503))
+            .mockReturnValueOnce(mockResponse({login: 'test'}));
+
+        await expect(github.getUser()).resolves.toMatchObject({login: 'test'});
+        expect(window.fetch).toHaveBeenCalledTimes(3);
+        expect(GitHub._backoff.mock.calls).toEqual([[0], [1]]);
+    });
+
+    it('gives up after the last retry', async () => {
+        window.fetch.mockImplementation(() => mockResponse({}, {}, 502));
+
+        const error = await github.getUser().catch((e) => e);
+
+        expect(error.name).toEqual('ServerError');
+        expect(error.status).toEqual(502);
+        expect(error.url).toEqual(url);
+        expect(window.fetch).toHaveBeenCalledTimes(4);
+        expect(GitHub._backoff).toHaveBeenCalledTimes(3);
+    });
+
+    it('does not retry other errors', async () => {
+        window.fetch.mockReturnValueOnce(mockResponse({}, {}, 403));
+
+        const error = await github.getUser().catch((e) => e);
+
+        expect(error.name).toEqual('ResponseError');
+        expect(error.status).toEqual(403);
+        expect(window.fetch).toHaveBeenCalledTimes(1);
+        expect(GitHub._backoff).not.toHaveBeenCalled();
+    });
+
+    it('stops retrying when aborted', async () => {
+        const signal = {aborted: false};
+        window.fetch.mockImplementation(() => mockResponse({}, {}, 500));
+        GitHub._backoff.mockImplementation(() => {
+            signal.aborted = true;
+            return Promise.resolve();
+        });
+
+        await expect(github.getUser(signal)).rejects.toEqual(new AbortError());
+        expect(window.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('doubles the delay', async () => {
+        GitHub._backoff.mockRestore();
+        jest.spyOn(GitHub, '_sleep').mockImplementation(() => Promise.resolve());
+
+        await GitHub._backoff(0);
+        await GitHub._backoff(2);
+
+        expect(GitHub._sleep.mock.calls).toEqual([[1000], [4000]]);
+    });
+
+    it('throws UserNotFoundError for unknown users', async () => {
+        window.fetch.mockReturnValueOnce(mockResponse({message: 'Not Found'}, {}, 404));
+
+        const error = await github.getUser().catch((e) => e);
+
+        expect(error.name).toEqual('UserNotFoundError');
+        expect(error.login).toEqual('test');
+    });
+
+    it('throws UserNotFoundError when GitHub refuses to search', async () => {
+        window.fetch.mockReturnValueOnce(mockResponse({message: 'Validation Failed'}, {}, 422));
+
+        const error = await github.aggregatePullRequests().catch((e) => e);
+
+        expect(error.name).toEqual('UserNotFoundError');
+        expect(window.fetch).toHaveBeenCalledWith(searchURL, undefined);
+    });
+
+    it('keeps other search errors', async () => {
+        window.fetch.mockReturnValueOnce(mockResponse({}, {}, 404));
+
+        await expect(github.aggregatePullRequests()).rejects.toEqual(new Error('Could not fetch ' + searchURL));
+    });
+});
+
+describe('cache', () => {
+    const url = 'https://api.github.com/users/test';
+    const user = {
+        login: 'test',
+        html_url: 'https://github.com/test',
+    };
+
+    let cache;
+
+    beforeEach(async () => {
+        cache = new Cache(1000);
+        await cache.clear();
+        github = new GitHub('test', {cache: cache});
+    });
+
+    it('stores responses', async () => {
+        window.fetch.mockReturnValueOnce(mockResponse(user, {'ETag': 'W/"etag"'}));
+
+        await expect(github.getUser()).resolves.toEqual(user);
+        await expect(cache.get(url)).resolves.toEqual(expect.objectContaining({
+            key: url,
+            body: JSON.stringify(user),
+            etag: 'W/"etag"',
+        }));
+    });
+
+    it('serves fresh entries without fetching', async () => {
+        await cache.put({
+            key: url,
+            body: JSON.stringify(user),
+            fetched_at: Date.now(),
+        });
+
+        await expect(github.getUser()).resolves.toEqual(user);
+        expect(window.fetch).not.toHaveBeenCalled();
+    });
+
+    it('revalidates stale entries', async () => {
+        await cache.put({
+            key: url,
+            body: JSON.stringify(user),
+            etag: 'W/"etag"',
+            fetched_at: 0,
+        });
+        window.fetch.mockReturnValueOnce(new window.Response(null, {status: 304}));
+
+        await expect(github.getUser()).resolves.toEqual(user);
+        expect(window.fetch).toHaveBeenCalledWith(url, {headers: {'If-None-Match': 'W/"etag"'}});
+
+        const entry = await cache.get(url);
+        expect(cache.isFresh(entry)).toEqual(true);
+    });
+
+    it('replaces modified entries', async () => {
+        await cache.put({
+            key: url,
+            body: JSON.stringify({login: 'old'}),
+            last_modified: 'Thu, 11 Oct 2018 10:00:00 GMT',
+            fetched_at: 0,
+        });
+        github._authorization = 'token';
+        window.fetch.mockReturnValueOnce(mockResponse(user));
+
+        await expect(github.getUser()).resolves.toEqual(user);
+        expect(window.fetch).toHaveBeenCalledWith(url, {headers: {
+            'Authorization': 'token token',
+            'If-Modified-Since': 'Thu, 11 Oct 2018 10:00:00 GMT',
+        }});
+        await expect(cache.get(url)).resolves.toEqual(expect.objectContaining({
+            body: JSON.stringify(user),
+        }));
+    });
+});
+
+describe('abort', () => {
+    const searchURL = 'https://api.github.com/search/issues?per_page=100&q=type%3Apr%20author%3Atest';
+
+    function mockItem(id, state) {
+        return {
+            repository_url: 'https://api.github.com/repos/user/repo1',
+            author_association: 'CONTRIBUTOR',
+            state: state,
+            updated_at: new Date(id),
+            pull_request: {url: 'https://api.github.com/repos/user/repo1/pulls/' + id},
+        };
+    }
+
+    it('does not send requests once aborted', async () => {
+        await expect(github.getUser({aborted: true})).rejects.toEqual(new AbortError());
+        expect(window.fetch).not.toHaveBeenCalled();
+    });
+
+    it('passes signal to fetch', async () => {
+        const signal = {aborted: false};
+        github._authorization = 'token';
+        window.fetch.mockReturnValueOnce(mockResponse({login: 'test'}));
+
+        await github.getUser(signal);
+
+        expect(window.fetch).toHaveBeenCalledWith('https://api.github.com/users/test', {
+            signal: signal,
+            headers: {Authorization: 'token token'},
+        });
+    });
+
+    it('tells aborted requests from failed ones', async () => {
+        const signal = {aborted: false};
+        window.fetch.mockImplementationOnce(() => {
+            signal.aborted = true;
+            return Promise.reject(new Error('The user aborted a request.'));
+        });
+
+        const error = await github.getUser(signal).catch((e) => e);
+
+        expect(error).toBeInstanceOf(Error);
+        expect(error.name).toEqual('AbortError');
+    });
+
+    it('stops aggregation', async () => {
+        const signal = {aborted: false};
+        window.fetch.mockImplementation((url) => {
+            if (url == searchURL) {
+                return mockResponse({items: [mockItem(1, 'closed'), mockItem(2, 'closed')]}, {
+                    'Link': `<${searchURL}&page=2>; rel="next"`,
+                });
+            }
+            signal.aborted = true;
+            return mockResponse({items: [mockItem(3, 'open')]});
+        });
+
+        await expect(github.aggregatePullRequests(signal)).rejects.toEqual(new AbortError());
+        expect(window.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('stops aggregation with GraphQL', async () => {
+        github = new GitHub('test', {graphQL: true});
+        github._authorization = 'token';
+
+        await expect(github.aggregateIssues({aborted: true})).rejects.toEqual(new AbortError());
+        expect(window.fetch).not.toHaveBeenCalled();
+    });
+
+    it('stops fetching members', async () => {
+        await expect(github.getMembers(null, {aborted: true})).rejects.toEqual(new AbortError());
+        expect(window.fetch).not.toHaveBeenCalled();
+    });
+});
+
+describe('token storage', () => {
+    it('prefers session token', () => {
+        window.sessionStorage.getItem.mockReturnValueOnce('session_token');
+        window.localStorage.getItem.mockReturnValueOnce('local_token');
+
+        expect(GitHub.getStoredToken()).toEqual('session_token');
+    });
+
+    it('falls back to persistent token', () => {
+        window.localStorage.getItem.mockReturnValueOnce('local_token');
+
+        expect(GitHub.getStoredToken()).toEqual('local_token');
+        expect(window.sessionStorage.getItem).toHaveBeenCalledWith('access_token');
+    });
+
+    it('stores session token', () => {
+        GitHub.storeToken('token', false);
+
+        expect(window.localStorage.removeItem).toHaveBeenCalledWith('access_token');
+        expect(window.sessionStorage.setItem).toHaveBeenCalledWith('access_token', 'token');
+        expect(window.localStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('stores persistent token', () => {
+        GitHub.storeToken('token', true);
+
+        expect(window.sessionStorage.removeItem).toHaveBeenCalledWith('access_token');
+        expect(window.localStorage.setItem).toHaveBeenCalledWith('access_token', 'token');
+        expect(window.sessionStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('removes tokens on sign out', () => {
+        GitHub.signOut();
+
+        expect(window.sessionStorage.removeItem).toHaveBeenCalledWith('access_token');
+        expect(window.localStorage.removeItem).toHaveBeenCalledWith('access_token');
+    });
+});
+
+describe('signIn', () => {
+    it('checks and stores token', async () => {
+        window.fetch.mockReturnValueOnce(mockResponse({login: 'viewer'}));
+
+        await expect(GitHub.signIn('token', false)).resolves.toEqual({login: 'viewer'});
+        expect(window.fetch).toHaveBeenCalledWith('https://api.github.com/user', {
+            headers: {Authorization: 'token token'},
+        });
+        expect(window.sessionStorage.setItem).toHaveBeenCalledWith('access_token', 'token');
+    });
+
+    it('rejects invalid token', async () => {
+        window.fetch.mockReturnValueOnce(mockResponse({}, {}, 401));
+
+        await expect(GitHub.signIn('token', true)).rejects.toEqual(new Error('Invalid access token'));
+        expect(window.localStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('handles HTTP errors', async () => {
+        window.fetch.mockReturnValueOnce(mockResponse({}, {}, 500));
+
+        const error = await GitHub.getViewer('token').catch((e) => e);
+
+        expect(error).toEqual(new Error('Could not fetch https://api.github.com/user'));
+        expect(error.name).toEqual('ServerError');
+        expect(window.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('handles fetch errors', async () => {
+        window.fetch.mockReturnValueOnce(Promise.reject(new Error()));
+
+        await expect(GitHub.getViewer('token')).rejects.toEqual(new Error('Could not fetch https://api.github.com/user'));
+    });
+});
+
 describe('authorize', () => {
     it('gets access_token from localStorage', async () => {
         window.localStorage.getItem.mockReturnValueOnce('some_token');
 
+        expect(github.authorized).toEqual(false);
         await github.authorize();
 
         expect(window.localStorage.getItem).toHaveBeenCalledWith('access_token');
+        expect(github.authorized).toEqual(true);
     });
 
-    it('request authorization if access_token is not set', async () => {
-        const state = 'ISEhISEhISEhISEhISEhISEhISEhISEhISEhISEhISE=';
-
+    it('stays anonymous if access_token is not set', async () => {
         await github.authorize();
 
         expect(paramsGetMock).toHaveBeenCalledWith('code');
         expect(window.localStorage.getItem).toHaveBeenCalledWith('access_token');
+        expect(window.location.replace).not.toHaveBeenCalled();
+        expect(github.authorized).toEqual(false);
+    });
+});
+
+describe('requestAuthorization', () => {
+    it('redirects to GitHub', () => {
+        const state = 'ISEhISEhISEhISEhISEhISEhISEhISEhISEhISEhISE=';
+
+        GitHub.requestAuthorization();
+
         expect(window.localStorage.removeItem).toHaveBeenCalledWith('access_token');
         expect(window.localStorage.setItem).toHaveBeenCalledWith('state', state);
         expect(window.location.replace).toHaveBeenCalledWith(
@@ -757,7 +2571,9 @@ describe('authorize', () => {
             'redirect_uri=' + encodeURIComponent(window.location.href)
         );
     });
+});
 
+describe('authorize with OAuth code', () => {
     it('requires state parameter', async () => {
         paramsGetMock.mockImplementationOnce(() => 'some_code');
 
@@ -820,7 +2636,7 @@ describe('authorize', () => {
             .mockReturnValueOnce(null)
             .mockReturnValueOnce(state);
 
-        window.fetch.mockReturnValueOnce({ok: false});
+        window.fetch.mockReturnValueOnce(mockResponse({}, {}, 500));
 
         const error = new Error(`Could not fetch ${OAUTH_GATEWAY_URL}?client_id=${OAUTH_CLIENT_ID}&code=${code}`);
         await expect(github.authorize()).rejects.toEqual(error);
@@ -909,4 +2725,128 @@ describe('authorize', () => {
         expect(paramsDeleteMock).toHaveBeenCalledWith('code');
         expect(paramsDeleteMock).toHaveBeenCalledWith('state');
     });
-});
\ No newline at end of file
+});
+
+describe('enterprise instance', () => {
+    const instance = enterpriseInstance({
+        url: 'https://github.example.com',
+        oauthClientID: 'ghes_client',
+        oauthGatewayURL: 'https://gateway.example.com',
+    });
+
+    beforeEach(() => {
+        github = new GitHub('test', {instance: instance});
+    });
+
+    it('searches the instance', async () => {
+        window.fetch.mockImplementation((url) => {
+            switch (url) {
+            case 'https://github.example.com/api/v3/search/issues?per_page=100&q=type%3Aissue%20author%3Atest':
+                return mockResponse({items: [{
+                    repository_url: 'https://github.example.com/api/v3/repos/user/repo1',
+                    author_association: 'CONTRIBUTOR',
+                    state: 'open',
+                    updated_at: new Date(0),
+                }]}, {
+                    'X-RateLimit-Limit': '30',
+                    'X-RateLimit-Remaining': '29',
+                    'X-RateLimit-Reset': '1500000000',
+                });
+            case 'https://github.example.com/api/v3/repos/user/repo1':
+                return mockResponse({
+                    html_url: 'https://github.example.com/user/repo1',
+                    full_name: 'user/repo1',
+                    stargazers_count: 1,
+                    language: 'Go',
+                });
+            default:
+                return mockResponse({}, {}, 500);
+            }
+        });
+
+        const result = await github.aggregateIssues();
+
+        expect(result[0].open_html_url).toEqual(
+            'https://github.example.com/search?utf8=✓&q=' +
+            encodeURIComponent('author:test type:issue repo:user/repo1 is:open')
+        );
+        expect(github._rateLimits.search).toEqual(expect.objectContaining({limit: 30, remaining: 29}));
+    });
+
+    it('queries GraphQL API of the instance', async () => {
+        github = new GitHub('test', {graphQL: true, instance: instance});
+        github._authorization = 'token';
+        window.fetch.mockReturnValueOnce(mockResponse({data: {search: {
+            pageInfo: {hasNextPage: false, endCursor: null},
+            nodes: [],
+        }}}));
+
+        await expect(github.aggregatePullRequests()).resolves.toEqual([]);
+        expect(window.fetch.mock.calls[0][0]).toEqual('https://github.example.com/api/graphql');
+    });
+
+    it('searches with REST API if the instance has no GraphQL API', async () => {
+        github = new GitHub('test', {graphQL: true, instance: Object.assign({}, instance, {graphQLURL: null})});
+        github._authorization = 'token';
+        window.fetch.mockReturnValueOnce(mockResponse({items: []}));
+
+        await expect(github.aggregatePullRequests()).resolves.toEqual([]);
+        expect(window.fetch.mock.calls[0][0]).toEqual(
+            'https://github.example.com/api/v3/search/issues?per_page=100&q=type%3Apr%20author%3Atest'
+        );
+    });
+
+    it('fetches user and members from the instance', async () => {
+        window.fetch
+            .mockReturnValueOnce(mockResponse({login: 'test'}))
+            .mockReturnValueOnce(mockResponse([{login: 'member'}]));
+
+        await github.getUser();
+        await github.getMembers();
+
+        expect(window.fetch.mock.calls[0][0]).toEqual('https://github.example.com/api/v3/users/test');
+        expect(window.fetch.mock.calls[1][0]).toEqual(
+            'https://github.example.com/api/v3/orgs/test/public_members?per_page=100'
+        );
+    });
+
+    it('is shared with derived instances', () => {
+        expect(github.forAuthor('other').instance).toBe(instance);
+    });
+
+    it('stores tokens separately', async () => {
+        window.fetch.mockReturnValueOnce(mockResponse({login: 'viewer'}));
+
+        await GitHub.signIn('token', true, instance);
+        GitHub.getStoredToken(instance);
+
+        expect(window.fetch).toHaveBeenCalledWith('https://github.example.com/api/v3/user', {
+            headers: {Authorization: 'token token'},
+        });
+        expect(window.localStorage.setItem).toHaveBeenCalledWith('access_token:github.example.com', 'token');
+        expect(window.sessionStorage.getItem).toHaveBeenCalledWith('access_token:github.example.com');
+        expect(window.localStorage.removeItem).not.toHaveBeenCalledWith('access_token');
+    });
+
+    it('redirects to OAuth app of the instance', () => {
+        GitHub.requestAuthorization(instance);
+
+        expect(window.location.replace).toHaveBeenCalledWith(expect.stringMatching(
+            /^https:\/\/github\.example\.com\/login\/oauth\/authorize\?client_id=ghes_client&/
+        ));
+    });
+
+    it('exchanges OAuth code through gateway of the instance', async () => {
+        paramsGetMock.mockImplementation((name) => name == 'code' ? 'some_code' : 'some_state');
+        window.localStorage.getItem.mockImplementation((key) => key == 'state' ? 'some_state' : null);
+        window.fetch.mockReturnValueOnce(mockResponse({access_token: 'some_token'}));
+
+        await github.authorize();
+
+        expect(window.fetch).toHaveBeenCalledWith(
+            'https://gateway.example.com?client_id=ghes_client&code=some_code',
+            {method: 'POST'},
+        );
+        expect(window.localStorage.setItem).toHaveBeenCalledWith('access_token:github.example.com', 'some_token');
+    });
+});
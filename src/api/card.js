@@ -0,0 +1,84 @@
+import GitHubColors from 'github-colors';
+import GitHub from './GitHub';
+
+// Renders a self-contained SVG card summarizing contributions of the user,
+// suitable for embedding into READMEs. The avatar is expected as a data URI
+// since images referenced by URL are blocked when the card is used as an image.
+
+const width = 495;
+const padding = 20;
+const rowHeight = 24;
+const topRepositories = 5;
+
+const fontFamily = '-apple-system, BlinkMacSystemFont, Segoe UI, Helvetica, Arial, sans-serif';
+
+function _escape(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function _renderTotals(summary, y) {
+    const totals = [
+        ['Repositories', summary.repositories],
+        ['Pull requests', summary.pullRequests],
+        ['Merged', summary.merged],
+        ['Issues', summary.issues],
+    ];
+    const columnWidth = (width - padding * 2) / totals.length;
+
+    return totals.map((total, index) => {
+        const x = padding + index * columnWidth;
+        return (
+            `<text x="${x}" y="${y}" font-size="20" font-weight="600" fill="#24292e">${total[1]}</text>` +
+            `<text x="${x}" y="${y + 18}" font-size="12" fill="#586069">${total[0]}</text>`
+        );
+    }).join('');
+}
+
+function _renderRepository(repository, y) {
+    const color = repository.language ? GitHubColors.get(repository.language, true).color : '#ccc';
+    const stars = repository.stargazers_count ?
+        `<text x="${width - padding}" y="${y}" font-size="12" fill="#586069" text-anchor="end">★ ${repository.stargazers_count}</text>` :
+        '';
+
+    return (
+        `<circle cx="${padding + 5}" cy="${y - 4}" r="5" fill="${color}"/>` +
+        `<text x="${padding + 18}" y="${y}" font-size="13" fill="#0366d6">${_escape(repository.full_name)}</text>` +
+        stars
+    );
+}
+
+export function renderCard(user, pullRequests, issues, avatar = null) {
+    const summary = GitHub.aggregateSummary(pullRequests, issues);
+    const repositories = GitHub.compareRepositories([{pullRequests: pullRequests, issues: issues}])
+        .slice(0, topRepositories)
+        .map((row) => row.repository);
+
+    const repositoriesY = 170;
+    const height = repositories.length ? repositoriesY + repositories.length * rowHeight + padding : 150;
+    const textX = avatar ? padding + 80 : padding;
+
+    const image = avatar ? (
+        '<clipPath id="avatar"><circle cx="52" cy="52" r="32"/></clipPath>' +
+        `<image x="${padding}" y="${padding}" width="64" height="64" href="${_escape(avatar)}" clip-path="url(#avatar)"/>`
+    ) : '';
+
+    const heading = repositories.length ?
+        `<text x="${padding}" y="${repositoriesY - 10}" font-size="14" font-weight="600" fill="#24292e">Top repositories</text>` :
+        '';
+
+    return (
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${fontFamily}">` +
+        `<rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="4" fill="#fff" stroke="#e1e4e8"/>` +
+        image +
+        `<text x="${textX}" y="48" font-size="18" font-weight="600" fill="#24292e">${_escape(user.name || user.login)}</text>` +
+        `<text x="${textX}" y="68" font-size="13" fill="#586069">${_escape(user.login)}’s open source contributions</text>` +
+        _renderTotals(summary, 118) +
+        heading +
+        repositories.map((repository, index) => _renderRepository(repository, repositoriesY + 14 + index * rowHeight)).join('') +
+        '</svg>'
+    );
+}
@@ -0,0 +1,57 @@
+import {renderCard} from './card';
+
+const user = {
+    login: 'test',
+    name: 'Test <User>',
+};
+
+function mockItem(name, counters, repository = {}) {
+    return Object.assign({
+        repository: Object.assign({
+            html_url: 'https://github.com/' + name,
+            full_name: name,
+            language: 'Go',
+            stargazers_count: 0,
+        }, repository),
+        open: 0,
+        closed: 0,
+        merged: 0,
+    }, counters);
+}
+
+describe('renderCard', () => {
+    it('renders totals and top repositories', () => {
+        const pullRequests = [
+            mockItem('user/a', {merged: 1}, {stargazers_count: 42}),
+            mockItem('user/b', {open: 2, merged: 3}, {language: null}),
+        ];
+        const issues = [
+            mockItem('user/c', {closed: 1}, {language: 'Unknown'}),
+            mockItem('user/d', {open: 1}),
+            mockItem('user/e', {open: 1}),
+            mockItem('user/f', {open: 1}),
+        ];
+
+        const card = renderCard(user, pullRequests, issues, 'data:image/png;base64,AAAA');
+
+        expect(card).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="495" height="310"/);
+        expect(card).toContain('Test &lt;User&gt;');
+        expect(card).toContain('href="data:image/png;base64,AAAA"');
+        expect(card).toContain('>6</text><text x="20" y="136" font-size="12" fill="#586069">Repositories</text>');
+        expect(card).toContain('★ 42');
+        expect(card).toContain('fill="#375eab"');
+        expect(card).toContain('fill="#ccc"');
+
+        const names = card.match(/user\/[a-f]/g);
+        expect(names).toEqual(['user/b', 'user/a', 'user/c', 'user/d', 'user/e']);
+    });
+
+    it('renders without avatar and contributions', () => {
+        const card = renderCard({login: 'test', name: null}, [], []);
+
+        expect(card).toContain('height="150"');
+        expect(card).not.toContain('<image');
+        expect(card).not.toContain('Top repositories');
+        expect(card).toContain('<text x="20" y="48" font-size="18" font-weight="600" fill="#24292e">test</text>');
+    });
+});
@@ -0,0 +1,94 @@
+// Errors thrown by the GitHub API client. They are told apart by their names,
+// so that the UI can explain what went wrong and whether retrying may help.
+
+export function GitHubError(message) {
+    this.message = message;
+    this.name = 'GitHubError';
+}
+
+GitHubError.prototype = Object.create(Error.prototype);
+GitHubError.prototype.constructor = GitHubError;
+
+// Thrown when GitHub rejects a request as unauthorized,
+// so that the user can be asked to sign in.
+export function AuthorizationError() {
+    this.message = 'Authorization error';
+    this.name = 'AuthorizationError';
+}
+
+AuthorizationError.prototype = Object.create(GitHubError.prototype);
+AuthorizationError.prototype.constructor = AuthorizationError;
+
+export function RateLimitError(rateLimit) {
+    this.message = 'GitHub API rate limit exceeded';
+    this.name = 'RateLimitError';
+    this.limit = rateLimit.limit;
+    this.remaining = rateLimit.remaining;
+    this.reset = rateLimit.reset;
+}
+
+RateLimitError.prototype = Object.create(GitHubError.prototype);
+RateLimitError.prototype.constructor = RateLimitError;
+
+// Thrown when the request did not reach GitHub or got no response.
+export function NetworkError(url) {
+    this.message = 'Could not fetch ' + url;
+    this.name = 'NetworkError';
+    this.url = url;
+}
+
+NetworkError.prototype = Object.create(GitHubError.prototype);
+NetworkError.prototype.constructor = NetworkError;
+
+// Thrown when GitHub answers with an unexpected HTTP status.
+export function ResponseError(url, status) {
+    this.message = 'Could not fetch ' + url;
+    this.name = 'ResponseError';
+    this.url = url;
+    this.status = status;
+}
+
+ResponseError.prototype = Object.create(GitHubError.prototype);
+ResponseError.prototype.constructor = ResponseError;
+
+// Thrown when GitHub fails with 5xx, which is usually temporary.
+export function ServerError(url, status) {
+    ResponseError.call(this, url, status);
+    this.name = 'ServerError';
+}
+
+ServerError.prototype = Object.create(ResponseError.prototype);
+ServerError.prototype.constructor = ServerError;
+
+export function UserNotFoundError(login) {
+    this.message = 'User not found: ' + login;
+    this.name = 'UserNotFoundError';
+    this.login = login;
+}
+
+UserNotFoundError.prototype = Object.create(GitHubError.prototype);
+UserNotFoundError.prototype.constructor = UserNotFoundError;
+
+// Thrown when the work was cancelled through its AbortSignal,
+// so that callers can tell it from failures.
+export function AbortError() {
+    this.message = 'Aborted';
+    this.name = 'AbortError';
+}
+
+AbortError.prototype = Object.create(Error.prototype);
+AbortError.prototype.constructor = AbortError;
+
+// Cancelled work, e.g. on unmount, is dropped rather than shown as an error.
+export function isAbort(error) {
+    return error.name == 'AbortError';
+}
+
+export function responseError(url, status) {
+    return status >= 500 ? new ServerError(url, status) : new ResponseError(url, status);
+}
+
+// Requests failing like this may succeed when sent again.
+export function isTransient(error) {
+    return error.name == 'NetworkError' || error.name == 'ServerError';
+}
@@ -0,0 +1,67 @@
+import {
+    AbortError,
+    AuthorizationError,
+    GitHubError,
+    NetworkError,
+    RateLimitError,
+    ResponseError,
+    ServerError,
+    UserNotFoundError,
+    isAbort,
+    isTransient,
+    responseError,
+} from './errors';
+
+describe('errors', () => {
+    it('derive from GitHubError', () => {
+        const rateLimit = {limit: 60, remaining: 0, reset: new Date(0)};
+        const errors = [
+            new GitHubError('Something went wrong'),
+            new AuthorizationError(),
+            new RateLimitError(rateLimit),
+            new NetworkError('url'),
+            new ResponseError('url', 404),
+            new ServerError('url', 500),
+            new UserNotFoundError('test'),
+        ];
+
+        for (const error of errors) {
+            expect(error).toBeInstanceOf(Error);
+            expect(error).toBeInstanceOf(GitHubError);
+        }
+        expect(new ServerError('url', 500)).toBeInstanceOf(ResponseError);
+        expect(new AbortError()).not.toBeInstanceOf(GitHubError);
+    });
+
+    it('describe the failure', () => {
+        expect(new GitHubError('Something went wrong').message).toEqual('Something went wrong');
+        expect(new UserNotFoundError('test')).toMatchObject({
+            name: 'UserNotFoundError',
+            message: 'User not found: test',
+            login: 'test',
+        });
+        expect(new ServerError('url', 503)).toMatchObject({
+            name: 'ServerError',
+            message: 'Could not fetch url',
+            url: 'url',
+            status: 503,
+        });
+    });
+
+    it('tell server errors by status', () => {
+        expect(responseError('url', 404).name).toEqual('ResponseError');
+        expect(responseError('url', 500).name).toEqual('ServerError');
+    });
+
+    it('tell transient failures', () => {
+        expect(isTransient(new NetworkError('url'))).toEqual(true);
+        expect(isTransient(new ServerError('url', 502))).toEqual(true);
+        expect(isTransient(new ResponseError('url', 404))).toEqual(false);
+        expect(isTransient(new AuthorizationError())).toEqual(false);
+    });
+
+    it('tell cancelled work', () => {
+        expect(isAbort(new AbortError())).toEqual(true);
+        expect(isAbort(new NetworkError('url'))).toEqual(false);
+    });
+});
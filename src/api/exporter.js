@@ -0,0 +1,113 @@
+// Serializes aggregated results for download.
+
+export const formats = {
+    json: {extension: 'json', type: 'application/json'},
+    csv: {extension: 'csv', type: 'text/csv'},
+    markdown: {extension: 'md', type: 'text/markdown'},
+};
+
+const csvColumns = [
+    'repository',
+    'url',
+    'language',
+    'stars',
+    'pull_requests_open',
+    'pull_requests_closed',
+    'pull_requests_merged',
+    'issues_open',
+    'issues_closed',
+];
+
+// Joins pull requests and issues into one row per repository
+// keeping the order in which repositories first appear.
+function _byRepository(pullRequests, issues) {
+    const rows = {};
+    const get = (repository) => {
+        rows[repository.html_url] = rows[repository.html_url] || {
+            repository: repository,
+            pullRequests: {open: 0, closed: 0, merged: 0},
+            issues: {open: 0, closed: 0},
+        };
+        return rows[repository.html_url];
+    };
+
+    for (const item of pullRequests) {
+        get(item.repository).pullRequests = {open: item.open, closed: item.closed, merged: item.merged};
+    }
+    for (const item of issues) {
+        get(item.repository).issues = {open: item.open, closed: item.closed};
+    }
+
+    return Object.values(rows);
+}
+
+function _escapeCSV(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function _escapeMarkdown(value) {
+    return String(value).replace(/[\\|[\]*_`]/g, '\\$&');
+}
+
+export function toJSON(user, pullRequests, issues) {
+    return JSON.stringify({
+        user: user,
+        pull_requests: pullRequests,
+        issues: issues,
+    }, null, 2);
+}
+
+export function toCSV(user, pullRequests, issues) {
+    const rows = _byRepository(pullRequests, issues).map((row) => [
+        row.repository.full_name,
+        row.repository.html_url,
+        row.repository.language,
+        row.repository.stargazers_count,
+        row.pullRequests.open,
+        row.pullRequests.closed,
+        row.pullRequests.merged,
+        row.issues.open,
+        row.issues.closed,
+    ]);
+
+    return [csvColumns].concat(rows).map((row) => row.map(_escapeCSV).join(',')).join('\r\n') + '\r\n';
+}
+
+export function toMarkdown(user, pullRequests, issues) {
+    const name = _escapeMarkdown(user.name || user.login);
+    const lines = [
+        `### Open source contributions of [${name}](${user.html_url})`,
+        '',
+        '| Repository | Stars | Pull requests | Merged | Issues |',
+        '| --- | ---: | ---: | ---: | ---: |',
+    ];
+
+    for (const row of _byRepository(pullRequests, issues)) {
+        const pullRequestsCount = row.pullRequests.open + row.pullRequests.closed + row.pullRequests.merged;
+        lines.push('| ' + [
+            `[${_escapeMarkdown(row.repository.full_name)}](${row.repository.html_url})`,
+            row.repository.stargazers_count,
+            pullRequestsCount,
+            row.pullRequests.merged,
+            row.issues.open + row.issues.closed,
+        ].join(' | ') + ' |');
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+const serializers = {
+    json: toJSON,
+    csv: toCSV,
+    markdown: toMarkdown,
+};
+
+// Returns the file name and contents of the export in the given format.
+export function exportResults(format, user, pullRequests, issues) {
+    return {
+        filename: `${user.login}-contributions.${formats[format].extension}`,
+        type: formats[format].type,
+        content: serializers[format](user, pullRequests, issues),
+    };
+}
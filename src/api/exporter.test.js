@@ -0,0 +1,95 @@
+import {toJSON, toCSV, toMarkdown, exportResults} from './exporter';
+
+const user = {
+    login: 'test',
+    name: 'Test | User',
+    html_url: 'https://github.com/test',
+};
+
+const repo1 = {
+    html_url: 'https://github.com/user/repo1',
+    full_name: 'user/repo1',
+    stargazers_count: 10,
+    language: 'C++',
+};
+
+const repo2 = {
+    html_url: 'https://github.com/user/repo_2',
+    full_name: 'user/repo_2',
+    stargazers_count: 0,
+    language: null,
+};
+
+const pullRequests = [
+    {repository: repo1, open: 1, closed: 2, merged: 3, updated_at: new Date(Date.UTC(2018, 0, 1))},
+];
+
+const issues = [
+    {repository: repo2, open: 1, closed: 0, updated_at: new Date(Date.UTC(2018, 0, 2))},
+    {repository: repo1, open: 0, closed: 4, updated_at: new Date(Date.UTC(2018, 0, 3))},
+];
+
+describe('toJSON', () => {
+    it('keeps everything', () => {
+        expect(JSON.parse(toJSON(user, pullRequests, issues))).toEqual({
+            user: user,
+            pull_requests: [
+                Object.assign({}, pullRequests[0], {updated_at: '2018-01-01T00:00:00.000Z'}),
+            ],
+            issues: [
+                Object.assign({}, issues[0], {updated_at: '2018-01-02T00:00:00.000Z'}),
+                Object.assign({}, issues[1], {updated_at: '2018-01-03T00:00:00.000Z'}),
+            ],
+        });
+    });
+});
+
+describe('toCSV', () => {
+    it('writes a row per repository', () => {
+        expect(toCSV(user, pullRequests, issues)).toEqual(
+            'repository,url,language,stars,pull_requests_open,pull_requests_closed,pull_requests_merged,issues_open,issues_closed\r\n' +
+            'user/repo1,https://github.com/user/repo1,C++,10,1,2,3,0,4\r\n' +
+            'user/repo_2,https://github.com/user/repo_2,,0,0,0,0,1,0\r\n'
+        );
+    });
+
+    it('escapes values', () => {
+        const repository = Object.assign({}, repo1, {full_name: 'user/"a,b"'});
+
+        expect(toCSV(user, [Object.assign({}, pullRequests[0], {repository: repository})], [])).toContain(
+            '"user/""a,b""",https://github.com/user/repo1'
+        );
+    });
+});
+
+describe('toMarkdown', () => {
+    it('writes a table', () => {
+        expect(toMarkdown(user, pullRequests, issues)).toEqual([
+            '### Open source contributions of [Test \\| User](https://github.com/test)',
+            '',
+            '| Repository | Stars | Pull requests | Merged | Issues |',
+            '| --- | ---: | ---: | ---: | ---: |',
+            '| [user/repo1](https://github.com/user/repo1) | 10 | 6 | 3 | 4 |',
+            '| [user/repo\\_2](https://github.com/user/repo_2) | 0 | 0 | 0 | 1 |',
+            '',
+        ].join('\n'));
+    });
+
+    it('falls back to login', () => {
+        const anonymous = Object.assign({}, user, {name: null});
+
+        expect(toMarkdown(anonymous, [], [])).toMatch(/^### Open source contributions of \[test\]/);
+    });
+});
+
+describe('exportResults', () => {
+    it('names files after the user', () => {
+        expect(exportResults('markdown', user, [], [])).toEqual({
+            filename: 'test-contributions.md',
+            type: 'text/markdown',
+            content: toMarkdown(user, [], []),
+        });
+        expect(exportResults('csv', user, [], []).filename).toEqual('test-contributions.csv');
+        expect(exportResults('json', user, [], []).type).toEqual('application/json');
+    });
+});
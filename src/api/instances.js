@@ -0,0 +1,57 @@
+// GitHub instances contributions are read from. Besides github.com, GitHub Enterprise
+// Server instances can be allowed at build time and picked with the instance parameter.
+
+export const githubInstance = {
+    name: 'github.com',
+    apiURL: 'https://api.github.com',
+    graphQLURL: 'https://api.github.com/graphql',
+    webURL: 'https://github.com',
+    oauthAuthorizeURL: 'https://github.com/login/oauth/authorize',
+    oauthGatewayURL: OAUTH_GATEWAY_URL,
+    oauthClientID: OAUTH_CLIENT_ID,
+};
+
+// GitHub Enterprise Server serves the APIs from the host of its web interface.
+// OAuth apps are registered per instance, so without a client and a gateway
+// of its own the instance is signed in with a personal access token only.
+// Instances without GraphQL API set graphQLURL to null.
+// Please see https://docs.github.com/en/enterprise-server/rest.
+export function enterpriseInstance(config) {
+    const webURL = config.url.replace(/\/+$/, '');
+    const instance = Object.assign({
+        name: webURL.replace(/^[a-z]+:\/\//, ''),
+        apiURL: webURL + '/api/v3',
+        graphQLURL: webURL + '/api/graphql',
+        webURL: webURL,
+        oauthAuthorizeURL: webURL + '/login/oauth/authorize',
+        oauthGatewayURL: null,
+        oauthClientID: null,
+    }, config);
+    delete instance.url;
+
+    return instance;
+}
+
+// The allow-list, no other instance can be requested through the query string.
+export const instances = [githubInstance].concat(GITHUB_INSTANCES.map(enterpriseInstance));
+
+// Reads the instance from URLSearchParams falling back to the one chosen at build time.
+export function readInstance(params, allowed = instances, defaultName = GITHUB_INSTANCE) {
+    const name = (params.get('instance') || defaultName).toLowerCase();
+    const instance = allowed.find((value) => value.name.toLowerCase() == name);
+    if (!instance) {
+        throw new Error('Unknown GitHub instance ' + name);
+    }
+
+    return instance;
+}
+
+// Keeps the instance in URLSearchParams unless it is the default one.
+export function writeInstance(params, instance, defaultName = GITHUB_INSTANCE) {
+    if (instance.name.toLowerCase() == defaultName.toLowerCase()) {
+        params.delete('instance');
+    }
+    else {
+        params.set('instance', instance.name);
+    }
+}
@@ -0,0 +1,73 @@
+import {githubInstance, enterpriseInstance, instances, readInstance, writeInstance} from './instances';
+
+const enterprise = enterpriseInstance({url: 'https://github.example.com/'});
+const allowed = [githubInstance, enterprise];
+
+describe('enterpriseInstance', () => {
+    it('derives endpoints from the URL', () => {
+        expect(enterprise).toEqual({
+            name: 'github.example.com',
+            apiURL: 'https://github.example.com/api/v3',
+            graphQLURL: 'https://github.example.com/api/graphql',
+            webURL: 'https://github.example.com',
+            oauthAuthorizeURL: 'https://github.example.com/login/oauth/authorize',
+            oauthGatewayURL: null,
+            oauthClientID: null,
+        });
+    });
+
+    it('keeps configured values', () => {
+        const instance = enterpriseInstance({
+            name: 'corp',
+            url: 'https://github.example.com',
+            apiURL: 'https://api.github.example.com',
+            oauthClientID: '1234',
+        });
+
+        expect(instance.name).toEqual('corp');
+        expect(instance.apiURL).toEqual('https://api.github.example.com');
+        expect(instance.oauthClientID).toEqual('1234');
+        expect(instance).not.toHaveProperty('url');
+    });
+});
+
+describe('instances', () => {
+    it('allows github.com by default', () => {
+        expect(instances).toEqual([githubInstance]);
+        expect(githubInstance.oauthClientID).toEqual(OAUTH_CLIENT_ID);
+    });
+});
+
+describe('readInstance', () => {
+    it('uses the default instance', () => {
+        expect(readInstance(new URLSearchParams(''))).toBe(githubInstance);
+        expect(readInstance(new URLSearchParams(''), allowed, 'github.example.com')).toBe(enterprise);
+    });
+
+    it('reads allowed instances', () => {
+        expect(readInstance(new URLSearchParams('instance=GitHub.example.com'), allowed)).toBe(enterprise);
+    });
+
+    it('rejects other instances', () => {
+        expect(() => readInstance(new URLSearchParams('instance=evil.example.com'), allowed))
+            .toThrow(new Error('Unknown GitHub instance evil.example.com'));
+    });
+});
+
+describe('writeInstance', () => {
+    it('omits the default instance', () => {
+        const params = new URLSearchParams('author=test&instance=github.example.com');
+
+        writeInstance(params, githubInstance);
+
+        expect(params.toString()).toEqual('author=test');
+    });
+
+    it('writes other instances', () => {
+        const params = new URLSearchParams('author=test');
+
+        writeInstance(params, enterprise);
+
+        expect(params.toString()).toEqual('author=test&instance=github.example.com');
+    });
+});
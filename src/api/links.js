@@ -0,0 +1,95 @@
+// Parses the Link header following the algorithm from RFC 8288 Appendix B
+// and returns a list of links with their relation types and parameters.
+// Please see https://tools.ietf.org/html/rfc8288#appendix-B.
+export function parseLinks(value) {
+    const links = [];
+    let input = value;
+
+    function consume(pattern) {
+        const match = pattern.exec(input);
+        input = input.slice(match[0].length);
+        return match[0];
+    }
+
+    function consumeQuotedString() {
+        let output = '';
+        input = input.slice(1);
+
+        while (input.length) {
+            const character = input[0];
+            input = input.slice(1);
+
+            if (character == '"') {
+                return output;
+            }
+            if (character == '\\' && input.length) {
+                output += input[0];
+                input = input.slice(1);
+            }
+            else if (character != '\\') {
+                output += character;
+            }
+        }
+
+        return output;
+    }
+
+    function consumeParameters() {
+        const parameters = [];
+
+        for (;;) {
+            consume(/^[ \t]*/);
+            if (input[0] != ';') {
+                return parameters;
+            }
+            input = input.slice(1);
+            consume(/^[ \t]*/);
+
+            const name = consume(/^[^=;,]*/).trim().toLowerCase();
+            let parameterValue = '';
+
+            consume(/^[ \t]*/);
+            if (input[0] == '=') {
+                input = input.slice(1);
+                consume(/^[ \t]*/);
+
+                if (input[0] == '"') {
+                    parameterValue = consumeQuotedString();
+                }
+                else {
+                    parameterValue = consume(/^[^;,]*/).trim();
+                }
+            }
+
+            parameters.push([name, parameterValue]);
+            consume(/^[^;,]*/);
+        }
+    }
+
+    while (input.length) {
+        consume(/^[ \t]*/);
+        if (input[0] != '<') {
+            return links;
+        }
+        input = input.slice(1);
+
+        const url = consume(/^[^>]*/);
+        if (input[0] != '>') {
+            return links;
+        }
+        input = input.slice(1);
+
+        const parameters = consumeParameters();
+        const rel = parameters.find((parameter) => parameter[0] == 'rel');
+
+        links.push({
+            url: url,
+            rel: rel ? rel[1].toLowerCase().split(/[ \t]+/).filter(Boolean) : [],
+            parameters: parameters,
+        });
+
+        consume(/^[ \t]*,?/);
+    }
+
+    return links;
+}
@@ -0,0 +1,78 @@
+import {parseLinks} from './links';
+
+describe('parseLinks', () => {
+    it('parses GitHub pagination links', () => {
+        const links = parseLinks(
+            '<https://api.github.com/search/issues?q=test&page=2>; rel="next", ' +
+            '<https://api.github.com/search/issues?q=test&page=5>; rel="last"'
+        );
+
+        expect(links).toEqual([
+            {
+                url: 'https://api.github.com/search/issues?q=test&page=2',
+                rel: ['next'],
+                parameters: [['rel', 'next']],
+            },
+            {
+                url: 'https://api.github.com/search/issues?q=test&page=5',
+                rel: ['last'],
+                parameters: [['rel', 'last']],
+            },
+        ]);
+    });
+
+    it('parses several relation types', () => {
+        const links = parseLinks('<https://example.com/2>;rel="Next  LAST"');
+
+        expect(links[0].rel).toEqual(['next', 'last']);
+    });
+
+    it('parses parameters', () => {
+        const links = parseLinks(
+            '<https://example.com/a,b>; rel=next; title="a \\"quoted\\", title\\\\"; Type = text/html; hreflang,' +
+            '<https://example.com/c>'
+        );
+
+        expect(links).toEqual([
+            {
+                url: 'https://example.com/a,b',
+                rel: ['next'],
+                parameters: [
+                    ['rel', 'next'],
+                    ['title', 'a "quoted", title\\'],
+                    ['type', 'text/html'],
+                    ['hreflang', ''],
+                ],
+            },
+            {
+                url: 'https://example.com/c',
+                rel: [],
+                parameters: [],
+            },
+        ]);
+    });
+
+    it('uses the first rel parameter', () => {
+        const links = parseLinks('<https://example.com/>; rel=next; rel=prev');
+
+        expect(links[0].rel).toEqual(['next']);
+    });
+
+    it('tolerates unterminated quoted strings', () => {
+        expect(parseLinks('<https://example.com/>; rel="last')[0].rel).toEqual(['last']);
+        expect(parseLinks('<https://example.com/>; title="\\')[0].parameters).toEqual([['title', '']]);
+    });
+
+    it('stops at invalid links', () => {
+        expect(parseLinks('')).toEqual([]);
+        expect(parseLinks('error')).toEqual([]);
+        expect(parseLinks('<https://example.com/')).toEqual([]);
+        expect(parseLinks('<https://example.com/>; rel=next, error')).toEqual([
+            {
+                url: 'https://example.com/',
+                rel: ['next'],
+                parameters: [['rel', 'next']],
+            },
+        ]);
+    });
+});
@@ -0,0 +1,85 @@
+// Filter policy deciding which contributions are counted.
+// By default contributions to repositories the author owns or is
+// a member of are skipped. It is kept in the query string as well.
+
+export const associations = [
+    'OWNER',
+    'MEMBER',
+    'COLLABORATOR',
+    'CONTRIBUTOR',
+    'FIRST_TIME_CONTRIBUTOR',
+    'FIRST_TIMER',
+    'NONE',
+];
+
+// Empty include list means any association.
+export const defaultPolicy = {
+    include: [],
+    exclude: ['OWNER', 'MEMBER'],
+    owners: [],
+    repositories: [],
+};
+
+const paramNames = {
+    include: 'include',
+    exclude: 'exclude',
+    owners: 'exclude_owners',
+    repositories: 'exclude_repos',
+};
+
+// Parses a comma separated list of names, as kept in the query string and typed into the filters form.
+export function splitList(value) {
+    return value.split(',').map((name) => name.trim()).filter(Boolean);
+}
+
+function _equal(a, b) {
+    return a.join(',') == b.join(',');
+}
+
+// Returns owner/name of the repository the search item belongs to.
+function _repositoryName(item) {
+    return item.repository_url.split('/').slice(-2).join('/');
+}
+
+// Checks the search item against the policy. Owner and repository
+// deny-lists are matched case insensitively.
+export function isAllowed(item, policy) {
+    const association = item.author_association;
+    const name = _repositoryName(item).toLowerCase();
+    const owner = name.split('/')[0];
+
+    return (
+        (!policy.include.length || policy.include.includes(association)) &&
+        !policy.exclude.includes(association) &&
+        !policy.owners.some((value) => value.toLowerCase() == owner) &&
+        !policy.repositories.some((value) => value.toLowerCase() == name)
+    );
+}
+
+// Reads the policy from URLSearchParams. A missing parameter falls back to
+// the default while an empty one clears the list. Unknown associations are ignored.
+export function readPolicy(params) {
+    const policy = {};
+
+    for (const key of Object.keys(paramNames)) {
+        const value = params.get(paramNames[key]);
+        policy[key] = value == null ? defaultPolicy[key] : splitList(value);
+    }
+
+    policy.include = policy.include.filter((value) => associations.includes(value));
+    policy.exclude = policy.exclude.filter((value) => associations.includes(value));
+
+    return policy;
+}
+
+// Writes the policy to URLSearchParams omitting defaults.
+export function writePolicy(params, policy) {
+    for (const key of Object.keys(paramNames)) {
+        if (_equal(policy[key], defaultPolicy[key])) {
+            params.delete(paramNames[key]);
+        }
+        else {
+            params.set(paramNames[key], policy[key].join(','));
+        }
+    }
+}
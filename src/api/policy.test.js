@@ -0,0 +1,71 @@
+import {isAllowed, readPolicy, splitList, writePolicy, defaultPolicy} from './policy';
+
+function mockItem(repository, association) {
+    return {
+        repository_url: 'https://api.github.com/repos/' + repository,
+        author_association: association,
+    };
+}
+
+describe('isAllowed', () => {
+    it('excludes owned repositories by default', () => {
+        expect(isAllowed(mockItem('user/repo', 'CONTRIBUTOR'), defaultPolicy)).toEqual(true);
+        expect(isAllowed(mockItem('user/repo', 'OWNER'), defaultPolicy)).toEqual(false);
+        expect(isAllowed(mockItem('user/repo', 'MEMBER'), defaultPolicy)).toEqual(false);
+    });
+
+    it('includes only listed associations', () => {
+        const policy = Object.assign({}, defaultPolicy, {include: ['COLLABORATOR']});
+
+        expect(isAllowed(mockItem('user/repo', 'COLLABORATOR'), policy)).toEqual(true);
+        expect(isAllowed(mockItem('user/repo', 'CONTRIBUTOR'), policy)).toEqual(false);
+    });
+
+    it('excludes denied owners and repositories', () => {
+        const policy = Object.assign({}, defaultPolicy, {owners: ['Org'], repositories: ['User/Repo']});
+
+        expect(isAllowed(mockItem('org/tools', 'CONTRIBUTOR'), policy)).toEqual(false);
+        expect(isAllowed(mockItem('user/repo', 'CONTRIBUTOR'), policy)).toEqual(false);
+        expect(isAllowed(mockItem('user/other', 'CONTRIBUTOR'), policy)).toEqual(true);
+    });
+});
+
+describe('splitList', () => {
+    it('trims names and skips empty ones', () => {
+        expect(splitList(' user , other/repo,,')).toEqual(['user', 'other/repo']);
+        expect(splitList('')).toEqual([]);
+    });
+});
+
+describe('readPolicy', () => {
+    it('reads policy', () => {
+        const params = new URLSearchParams(
+            'author=test&include=CONTRIBUTOR,MEMBER&exclude=&exclude_owners=org&exclude_repos=user/a,%20user/b'
+        );
+        expect(readPolicy(params)).toEqual({
+            include: ['CONTRIBUTOR', 'MEMBER'],
+            exclude: [],
+            owners: ['org'],
+            repositories: ['user/a', 'user/b'],
+        });
+    });
+
+    it('falls back to defaults', () => {
+        expect(readPolicy(new URLSearchParams('author=test'))).toEqual(defaultPolicy);
+    });
+
+    it('ignores unknown associations', () => {
+        expect(readPolicy(new URLSearchParams('include=owner,NONE&exclude=ANYONE')).include).toEqual(['NONE']);
+        expect(readPolicy(new URLSearchParams('exclude=ANYONE')).exclude).toEqual([]);
+    });
+});
+
+describe('writePolicy', () => {
+    it('writes policy omitting defaults', () => {
+        const params = new URLSearchParams('author=test&include=NONE');
+
+        writePolicy(params, Object.assign({}, defaultPolicy, {exclude: [], owners: ['org']}));
+
+        expect(params.toString()).toEqual('author=test&exclude=&exclude_owners=org');
+    });
+});
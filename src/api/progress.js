@@ -0,0 +1,55 @@
+// Counts search result pages, pull requests checked for merge state
+// and repositories fetched by an aggregation.
+// Totals grow as they become known, e.g. once the first page links the last one.
+// The callback gets the counts along with repositories aggregated so far.
+export default class Progress {
+    constructor(callback = null) {
+        this._callback = callback;
+        this._pages = {fetched: 0, total: 0};
+        this._pullRequests = {fetched: 0, total: 0};
+        this._repositories = {fetched: 0, total: 0};
+        this._results = [];
+    }
+
+    _report() {
+        if (this._callback) {
+            this._callback({
+                pages: Object.assign({}, this._pages),
+                pullRequests: Object.assign({}, this._pullRequests),
+                repositories: Object.assign({}, this._repositories),
+                results: this._results.slice(),
+            });
+        }
+    }
+
+    addPages(count) {
+        this._pages.total += count;
+        this._report();
+    }
+
+    pageFetched() {
+        this._pages.fetched += 1;
+        this._report();
+    }
+
+    addPullRequests(count) {
+        this._pullRequests.total += count;
+        this._report();
+    }
+
+    pullRequestChecked() {
+        this._pullRequests.fetched += 1;
+        this._report();
+    }
+
+    addRepositories(count) {
+        this._repositories.total += count;
+        this._report();
+    }
+
+    repositoryFetched(result) {
+        this._repositories.fetched += 1;
+        this._results.push(result);
+        this._report();
+    }
+}
@@ -0,0 +1,44 @@
+import Progress from './progress';
+
+describe('Progress', () => {
+    it('reports counts and results', () => {
+        const callback = jest.fn();
+        const progress = new Progress(callback);
+
+        progress.addPages(2);
+        progress.pageFetched();
+        progress.addPullRequests(2);
+        progress.pullRequestChecked();
+        progress.addRepositories(3);
+        progress.repositoryFetched({repository: 'repo1'});
+
+        expect(callback).toHaveBeenCalledTimes(6);
+        expect(callback).toHaveBeenLastCalledWith({
+            pages: {fetched: 1, total: 2},
+            pullRequests: {fetched: 1, total: 2},
+            repositories: {fetched: 1, total: 3},
+            results: [{repository: 'repo1'}],
+        });
+    });
+
+    it('does not share reported state', () => {
+        const reports = [];
+        const progress = new Progress((value) => reports.push(value));
+
+        progress.addRepositories(2);
+        progress.repositoryFetched({repository: 'repo1'});
+        progress.repositoryFetched({repository: 'repo2'});
+
+        expect(reports[1].repositories).toEqual({fetched: 1, total: 2});
+        expect(reports[1].results).toHaveLength(1);
+    });
+
+    it('works without callback', () => {
+        const progress = new Progress();
+
+        expect(() => {
+            progress.addPages(1);
+            progress.pageFetched();
+        }).not.toThrow();
+    });
+});
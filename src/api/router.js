@@ -0,0 +1,69 @@
+// Keeps application state in the query string using the History API,
+// so that every state can be shared and navigated with back and forward.
+export default class Router {
+    constructor() {
+        this._listeners = [];
+        this._onPopState = this._onPopState.bind(this);
+    }
+
+    get params() {
+        return new URL(window.location.href).searchParams;
+    }
+
+    _notify() {
+        const params = this.params;
+        for (const listener of this._listeners.slice()) {
+            listener(params);
+        }
+    }
+
+    _onPopState() {
+        this._notify();
+    }
+
+    _url(update) {
+        const url = new URL(window.location.href);
+        update(url.searchParams);
+        return url;
+    }
+
+    // Returns the link navigate would go to, so that it can be opened in a new tab as well.
+    href(update) {
+        const url = this._url(update);
+        return url.pathname + url.search;
+    }
+
+    // Changes the query string with the update function receiving URLSearchParams.
+    // A new history entry is created unless replace is set.
+    navigate(update, replace = false) {
+        const url = this._url(update);
+
+        if (url.toString() == window.location.href) {
+            return;
+        }
+
+        if (replace) {
+            window.history.replaceState({}, document.title, url.toString());
+        }
+        else {
+            window.history.pushState({}, document.title, url.toString());
+        }
+        this._notify();
+    }
+
+    // Calls the listener with URLSearchParams on every navigation
+    // and returns a function removing it.
+    listen(listener) {
+        if (!this._listeners.length) {
+            window.addEventListener('popstate', this._onPopState);
+        }
+        this._listeners.push(listener);
+
+        return () => {
+            this._listeners = this._listeners.filter((value) => value != listener);
+            if (!this._listeners.length) {
+                window.removeEventListener('popstate', this._onPopState);
+            }
+        };
+    }
+}
@@ -0,0 +1,89 @@
+import Router from './router';
+
+let router;
+
+beforeEach(() => {
+    window.history.replaceState({}, '', '/?author=test');
+    router = new Router();
+});
+
+describe('params', () => {
+    it('reads query string', () => {
+        expect(router.params.get('author')).toEqual('test');
+    });
+});
+
+describe('href', () => {
+    it('links to the updated query string', () => {
+        expect(router.href((params) => params.set('sort', 'stars'))).toEqual('/?author=test&sort=stars');
+        expect(window.location.search).toEqual('?author=test');
+    });
+});
+
+describe('navigate', () => {
+    it('pushes history entry', () => {
+        const length = window.history.length;
+
+        router.navigate((params) => params.set('sort', 'stars'));
+
+        expect(window.location.search).toEqual('?author=test&sort=stars');
+        expect(window.history.length).toEqual(length + 1);
+    });
+
+    it('replaces history entry', () => {
+        const length = window.history.length;
+
+        router.navigate((params) => params.delete('author'), true);
+
+        expect(window.location.search).toEqual('');
+        expect(window.history.length).toEqual(length);
+    });
+
+    it('notifies listeners', () => {
+        const listener = jest.fn();
+        router.listen(listener);
+
+        router.navigate((params) => params.set('author', 'other'));
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0].get('author')).toEqual('other');
+    });
+
+    it('skips navigation without changes', () => {
+        const listener = jest.fn();
+        const length = window.history.length;
+        router.listen(listener);
+
+        router.navigate((params) => params.set('author', 'test'));
+
+        expect(listener).not.toHaveBeenCalled();
+        expect(window.history.length).toEqual(length);
+    });
+});
+
+describe('listen', () => {
+    it('handles back and forward navigation', () => {
+        const listener = jest.fn();
+        router.listen(listener);
+
+        window.dispatchEvent(new PopStateEvent('popstate'));
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0].get('author')).toEqual('test');
+    });
+
+    it('removes listener', () => {
+        const first = jest.fn();
+        const second = jest.fn();
+        const removeFirst = router.listen(first);
+        const removeSecond = router.listen(second);
+
+        removeFirst();
+        window.dispatchEvent(new PopStateEvent('popstate'));
+        removeSecond();
+        window.dispatchEvent(new PopStateEvent('popstate'));
+
+        expect(first).not.toHaveBeenCalled();
+        expect(second).toHaveBeenCalledTimes(1);
+    });
+});
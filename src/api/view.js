@@ -0,0 +1,97 @@
+// View state of the contribution lists: ordering, filters, the active tab
+// and expanded rows. It is kept in the query string so that links reproduce what is shown.
+
+export const sorts = ['recent', 'stars', 'merged', 'total'];
+export const states = ['all', 'open', 'closed', 'merged'];
+export const tabs = ['all', 'pull-requests', 'issues', 'reviews'];
+
+// Expanded rows are identified by the list and repository, e.g. pr:owner/name or review:owner/name.
+export const defaultView = {
+    sort: 'recent',
+    state: 'all',
+    language: null,
+    stars: 0,
+    tab: 'all',
+    expanded: [],
+};
+
+// OAuth redirects append their own state parameter, so the state filter is kept as status.
+const paramNames = {
+    sort: 'sort',
+    state: 'status',
+    language: 'language',
+    stars: 'stars',
+    tab: 'tab',
+    expanded: 'expanded',
+};
+
+export function expandedKey(type, item) {
+    return type + ':' + item.repository.full_name;
+}
+
+function _total(item) {
+    return item.open + item.closed + (item.merged || 0);
+}
+
+const comparators = {
+    recent: (a, b) => b.updated_at - a.updated_at,
+    stars: (a, b) => b.repository.stargazers_count - a.repository.stargazers_count,
+    merged: (a, b) => (b.merged || 0) - (a.merged || 0),
+    total: (a, b) => _total(b) - _total(a),
+};
+
+// Sorts aggregated items, the most recently updated first on ties.
+export function sortItems(items, sort) {
+    const compare = comparators[sort];
+    return items.slice().sort((a, b) => compare(a, b) || comparators.recent(a, b));
+}
+
+// Keeps repositories having contributions in the state, written in the language
+// and starred at least the given number of times.
+export function filterItems(items, view) {
+    return items.filter((item) => {
+        return (
+            (view.state == 'all' || item[view.state] > 0) &&
+            (view.language == null || item.repository.language == view.language) &&
+            item.repository.stargazers_count >= view.stars
+        );
+    });
+}
+
+export function applyView(items, view) {
+    if (items == null) {
+        return items;
+    }
+    return sortItems(filterItems(items, view), view.sort);
+}
+
+// Reads the view from URLSearchParams falling back to defaults for invalid values.
+export function readView(params) {
+    const sort = params.get('sort');
+    const state = params.get(paramNames.state);
+    const stars = parseInt(params.get('stars'), 10);
+    const tab = params.get('tab');
+    const expanded = params.get('expanded');
+
+    return {
+        sort: sorts.includes(sort) ? sort : defaultView.sort,
+        state: states.includes(state) ? state : defaultView.state,
+        language: params.get('language') || defaultView.language,
+        stars: stars > 0 ? stars : defaultView.stars,
+        tab: tabs.includes(tab) ? tab : defaultView.tab,
+        expanded: expanded ? expanded.split(',').filter(Boolean) : defaultView.expanded,
+    };
+}
+
+// Writes the view to URLSearchParams omitting defaults.
+export function writeView(params, view) {
+    for (const key of Object.keys(defaultView)) {
+        const value = String(view[key]);
+        if (value == String(defaultView[key])) {
+            params.delete(paramNames[key]);
+        }
+        else {
+            params.set(paramNames[key], value);
+        }
+    }
+}
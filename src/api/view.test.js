@@ -0,0 +1,140 @@
+import {sortItems, filterItems, applyView, readView, writeView, defaultView, expandedKey} from './view';
+
+function mockItem(name, counters, repository = {}) {
+    return Object.assign({
+        repository: Object.assign({
+            full_name: name,
+            language: 'Go',
+            stargazers_count: 0,
+        }, repository),
+        open: 0,
+        closed: 0,
+        updated_at: new Date(0),
+    }, counters);
+}
+
+const items = [
+    mockItem('a', {open: 1, merged: 1, updated_at: new Date(3)}),
+    mockItem('b', {closed: 4, updated_at: new Date(2)}, {language: 'C', stargazers_count: 10}),
+    mockItem('c', {merged: 3, updated_at: new Date(4)}, {language: null, stargazers_count: 5}),
+    mockItem('d', {open: 1, updated_at: new Date(1)}, {stargazers_count: 5}),
+];
+
+function names(result) {
+    return result.map((item) => item.repository.full_name);
+}
+
+describe('sortItems', () => {
+    it('sorts by recency', () => {
+        expect(sortItems(items, 'recent')).toEqual([items[2], items[0], items[1], items[3]]);
+    });
+
+    it('sorts by stars', () => {
+        expect(sortItems(items, 'stars')).toEqual([items[1], items[2], items[3], items[0]]);
+    });
+
+    it('sorts by merged', () => {
+        expect(sortItems(items, 'merged')).toEqual([items[2], items[0], items[1], items[3]]);
+    });
+
+    it('sorts by total', () => {
+        expect(sortItems(items, 'total')).toEqual([items[1], items[2], items[0], items[3]]);
+    });
+
+    it('does not modify items', () => {
+        const copy = items.slice();
+        sortItems(items, 'stars');
+        expect(items).toEqual(copy);
+    });
+});
+
+describe('filterItems', () => {
+    it('keeps everything by default', () => {
+        expect(filterItems(items, defaultView)).toEqual(items);
+    });
+
+    it('filters by state', () => {
+        const view = Object.assign({}, defaultView, {state: 'merged'});
+        expect(filterItems(items, view)).toEqual([items[0], items[2]]);
+    });
+
+    it('filters by language', () => {
+        const view = Object.assign({}, defaultView, {language: 'Go'});
+        expect(filterItems(items, view)).toEqual([items[0], items[3]]);
+    });
+
+    it('filters by stars', () => {
+        const view = Object.assign({}, defaultView, {stars: 5});
+        expect(filterItems(items, view)).toEqual([items[1], items[2], items[3]]);
+    });
+});
+
+describe('applyView', () => {
+    it('passes loading state through', () => {
+        expect(applyView(null, defaultView)).toEqual(null);
+    });
+
+    it('filters and sorts', () => {
+        const view = Object.assign({}, defaultView, {sort: 'stars', state: 'open'});
+        expect(names(applyView(items, view))).toEqual(['d', 'a']);
+    });
+});
+
+describe('readView', () => {
+    it('reads view', () => {
+        const params = new URLSearchParams(
+            'author=test&sort=stars&status=merged&language=C%2B%2B&stars=10&tab=issues&expanded=pr:a/b,issue:c/d'
+        );
+        expect(readView(params)).toEqual({
+            sort: 'stars',
+            state: 'merged',
+            language: 'C++',
+            stars: 10,
+            tab: 'issues',
+            expanded: ['pr:a/b', 'issue:c/d'],
+        });
+    });
+
+    it('ignores OAuth state', () => {
+        const params = new URLSearchParams('author=test&status=merged&code=code&state=random');
+        expect(readView(params).state).toEqual('merged');
+        expect(readView(new URLSearchParams('author=test&state=merged')).state).toEqual('all');
+    });
+
+    it('falls back to defaults', () => {
+        expect(readView(new URLSearchParams('author=test'))).toEqual(defaultView);
+        expect(readView(new URLSearchParams('sort=name&status=draft&language=&stars=-1&tab=commits&expanded='))).toEqual(defaultView);
+    });
+});
+
+describe('writeView', () => {
+    it('writes view omitting defaults', () => {
+        const params = new URLSearchParams('author=test&sort=stars&stars=5&expanded=pr:a/b');
+
+        writeView(params, Object.assign({}, defaultView, {state: 'open', language: 'C++', tab: 'issues'}));
+
+        expect(params.toString()).toEqual('author=test&status=open&language=C%2B%2B&tab=issues');
+    });
+
+    it('keeps OAuth state', () => {
+        const params = new URLSearchParams('author=test&code=code&state=random');
+
+        writeView(params, Object.assign({}, defaultView, {state: 'merged'}));
+
+        expect(params.toString()).toEqual('author=test&code=code&state=random&status=merged');
+    });
+
+    it('writes expanded rows', () => {
+        const params = new URLSearchParams();
+
+        writeView(params, Object.assign({}, defaultView, {expanded: ['pr:a/b', 'issue:c/d']}));
+
+        expect(params.get('expanded')).toEqual('pr:a/b,issue:c/d');
+    });
+});
+
+describe('expandedKey', () => {
+    it('combines type and repository', () => {
+        expect(expandedKey('pr', items[0])).toEqual('pr:a');
+    });
+});
@@ -1,75 +1,325 @@
 import ReactDOM from 'react-dom';
 import React from 'react';
 import GitHub from '../api/GitHub';
+import Cache from '../api/Cache';
+import Router from '../api/router';
+import {readPolicy, writePolicy} from '../api/policy';
+import {readInstance, writeInstance} from '../api/instances';
 import BlankSlate from './BlankSlate';
 import Results from './Results';
+import Compare from './Compare';
+import Organization from './Organization';
 import Header from './Header';
 import ErrorBoundary from './ErrorBoundary';
 import FlashError from './FlashError';
 
+// Compare layout gets too narrow for more columns.
+const maxAuthors = 4;
+
+// Switches to another author keeping the view settings
+// except for expanded rows that belong to the previous one.
+function writeAuthor(params, author) {
+    for (const name of ['org', 'team', 'expanded']) {
+        params.delete(name);
+    }
+    params.set('author', author);
+}
+
+function writeRange(params, values) {
+    for (const name of ['since', 'until']) {
+        if (values[name]) {
+            params.set(name, values[name]);
+        }
+        else {
+            params.delete(name);
+        }
+    }
+}
+
 class App extends React.PureComponent {
     constructor(props) {
         super(props);
 
         this.state = {
-            github: null,
+            key: null,
+            githubs: null,
             error: null,
-            author: '',
+            authors: [],
+            organization: null,
+            team: null,
+            since: null,
+            until: null,
+            policy: null,
+            instance: null,
+            cv: false,
+            viewer: null,
         };
+
+        this.cache = new Cache(CACHE_TTL);
+        this.router = new Router();
+        this.clearCache = this.clearCache.bind(this);
+        this.changePolicy = this.changePolicy.bind(this);
+        this.search = this.search.bind(this);
+        this.authorLink = this.authorLink.bind(this);
+        this.changeRange = this.changeRange.bind(this);
+        this.signIn = this.signIn.bind(this);
+        this.signOut = this.signOut.bind(this);
     }
 
     componentDidMount() {
-        const params = new URL(window.location.href).searchParams;
-        const author = params.get('author');
+        this.unlisten = this.router.listen((params) => this.load(params));
+        this.load(this.router.params);
+    }
+
+    componentWillUnmount() {
+        this.unlisten();
+    }
+
+    // A stored token may have been revoked meanwhile, the identity is not shown then.
+    // Answers for an instance that is not shown anymore are ignored.
+    loadViewer(instance) {
+        const token = GitHub.getStoredToken(instance);
+        if (!token) {
+            this.setState({viewer: null});
+            return;
+        }
+
+        GitHub.getViewer(token, instance)
+            .catch(() => null)
+            .then((viewer) => {
+                if (this.state.instance == instance) {
+                    this.setState({viewer: viewer});
+                }
+            });
+    }
+
+    // Creates GitHub instances for the authors in the query string. Later instances
+    // are derived from the current one sharing its token, cache and rate limits.
+    load(params) {
+        let instance;
+        try {
+            instance = readInstance(params);
+        }
+        catch (error) {
+            this.setState({key: null, instance: null, viewer: null, error: error});
+            return;
+        }
+        if (instance != this.state.instance) {
+            this.setState({instance: instance});
+            this.loadViewer(instance);
+        }
+
+        const organization = params.get('org') || null;
+        const team = params.get('team') || null;
+        const authors = organization ? [organization] : Array.from(new Set(params.getAll('author').filter(Boolean)));
+        const since = params.get('since') || null;
+        const until = params.get('until') || null;
+        const policy = readPolicy(params);
+        const cv = params.get('view') == 'cv';
+
+        // View settings like sorting are handled by the results themselves,
+        // instances are created again only when the data to aggregate changes.
+        const key = JSON.stringify([instance.name, authors, organization, team, since, until, policy]);
+        if (key == this.state.key && !this.state.error) {
+            this.setState({cv: cv});
+            return;
+        }
+
+        const location = {
+            key: key,
+            authors: authors,
+            organization: organization,
+            team: team,
+            since: since,
+            until: until,
+            policy: policy,
+            cv: cv,
+            error: null,
+        };
 
-        if (!author) {
+        if (!authors.length) {
+            this.setState(Object.assign(location, {githubs: null}));
             return;
         }
 
-        this.setState({author: author});
+        // Instances of another GitHub instance share nothing with the current ones.
+        const current = this.state.githubs && this.state.githubs[0].instance == instance && this.state.githubs[0];
 
-        let github;
+        let githubs;
         try {
-            github = new GitHub(author);
+            if (authors.length > maxAuthors) {
+                throw new Error(`Up to ${maxAuthors} authors can be compared`);
+            }
+
+            const options = {
+                instance: instance,
+                policy: policy,
+                since: since,
+                until: until,
+            };
+            githubs = authors.map((author) => current ?
+                current.forAuthor(author, options) :
+                new GitHub(author, Object.assign({graphQL: true, cache: this.cache}, options))
+            );
         }
         catch (error) {
-            this.setState({error: error});
+            this.setState(Object.assign(location, {error: error}));
+            return;
+        }
+
+        if (current) {
+            this.setState(Object.assign(location, {githubs: githubs}));
             return;
         }
 
-        github.authorize()
+        this.setState(Object.assign(location, {githubs: null}));
+
+        // The first instance completes OAuth authorization if GitHub redirected back,
+        // the others pick up its token once it is stored.
+        githubs[0].authorize()
+            .then(() => Promise.all(githubs.slice(1).map((github) => github.authorize())))
             .then(() => {
-                this.setState({github: github});
+                this.setState({githubs: githubs});
+                if (!this.state.viewer) {
+                    this.loadViewer(instance);
+                }
             })
             .catch((error) => {
                 this.setState({error: error});
             });
     }
 
+    clearCache() {
+        this.cache.clear()
+            .then(() => window.location.reload())
+            .catch((error) => this.setState({error: error}));
+    }
+
+    // Instances hold the previous token, so everything is loaded again.
+    signIn(token, persistent) {
+        return GitHub.signIn(token, persistent, this.state.instance).then(() => window.location.reload());
+    }
+
+    // Cached responses were fetched on behalf of the user, so they go too.
+    signOut() {
+        const params = new URLSearchParams();
+        writeInstance(params, this.state.instance);
+
+        GitHub.signOut(this.state.instance);
+        this.cache.clear()
+            .catch(() => null)
+            .then(() => window.location.assign('/?' + params.toString()));
+    }
+
+    // Results are aggregated again with the new policy,
+    // responses mostly come from the cache.
+    changePolicy(policy) {
+        this.router.navigate((params) => writePolicy(params, policy));
+    }
+
+    search(values) {
+        this.router.navigate((params) => {
+            writeAuthor(params, values.author);
+            writeRange(params, values);
+        });
+    }
+
+    // Returns link props for another author keeping the instance, date range and policy.
+    // Plain clicks navigate without a page reload, others open the link as usual.
+    authorLink(author) {
+        const update = (params) => writeAuthor(params, author);
+        return {
+            href: this.router.href(update),
+            onClick: (event) => {
+                if (event.button == 0 && !(event.metaKey || event.ctrlKey || event.shiftKey || event.altKey)) {
+                    event.preventDefault();
+                    this.router.navigate(update);
+                }
+            },
+        };
+    }
+
+    // Aggregates the authors or the organization shown again for another date range.
+    changeRange(values) {
+        this.router.navigate((params) => writeRange(params, values));
+    }
+
     render() {
         if (this.state.error) {
             return (
                 <React.StrictMode>
-                    <Header showInput/>
-                    <FlashError error={this.state.error}/>
+                    <Header showInput
+                        since={this.state.since}
+                        until={this.state.until}
+                        onSearch={this.search}
+                        onRangeChange={this.changeRange}
+                        instance={this.state.instance}
+                        viewer={this.state.viewer}
+                        onSignIn={this.signIn}
+                        onSignOut={this.signOut}
+                    />
+                    <FlashError error={this.state.error} instance={this.state.instance}/>
+                </React.StrictMode>
+            );
+        }
+
+        if (!this.state.authors.length) {
+            return (
+                <React.StrictMode>
+                    <Header
+                        instance={this.state.instance}
+                        viewer={this.state.viewer}
+                        onSignIn={this.signIn}
+                        onSignOut={this.signOut}
+                    />
+                    <BlankSlate onSearch={this.search} authorLink={this.authorLink}/>
                 </React.StrictMode>
             );
         }
 
-        if (!this.state.author) {
+        const githubs = this.state.githubs;
+        if (!githubs) {
+            return null;
+        }
+
+        let results;
+        if (this.state.organization) {
+            results = <Organization github={githubs[0]} team={this.state.team} authorLink={this.authorLink}/>;
+        }
+        else if (githubs.length > 1) {
+            results = <Compare githubs={githubs}/>;
+        }
+        else if (this.state.cv) {
+            // CV view is meant to be printed, so it goes without the header.
             return (
                 <React.StrictMode>
-                    <Header/>
-                    <BlankSlate/>
+                    <ErrorBoundary key={this.state.key} instance={this.state.instance}>
+                        <Results github={githubs[0]} router={this.router} cv/>
+                    </ErrorBoundary>
                 </React.StrictMode>
             );
         }
+        else {
+            results = <Results github={githubs[0]} router={this.router}/>;
+        }
 
-        return this.state.github && (
+        return (
             <React.StrictMode>
-                <Header showInput/>
-                <ErrorBoundary>
-                    <Results github={this.state.github}/>
+                <Header showInput
+                    since={this.state.since}
+                    until={this.state.until}
+                    policy={this.state.policy}
+                    onPolicyChange={this.changePolicy}
+                    onSearch={this.search}
+                    onRangeChange={this.changeRange}
+                    onClearCache={this.clearCache}
+                    instance={this.state.instance}
+                    viewer={this.state.viewer}
+                    onSignIn={this.signIn}
+                    onSignOut={this.signOut}
+                />
+                <ErrorBoundary key={this.state.key} instance={this.state.instance}>
+                    {results}
                 </ErrorBoundary>
             </React.StrictMode>
         );
@@ -3,6 +3,7 @@ import 'primer-avatars/index.scss';
 
 import PropTypes from 'prop-types';
 import GitHub from '../api/GitHub';
+import {isAbort} from '../api/errors';
 import React from 'react';
 import AuthorName from './AuthorName';
 import Tweet from './Tweet';
@@ -18,9 +19,15 @@ export default class Author extends React.PureComponent {
     }
 
     componentDidMount() {
-        this.props.github.getUser()
+        this.abortController = new AbortController();
+
+        this.props.github.getUser(this.abortController.signal)
             .then((result) => this.setState({author: result}))
-            .catch((error) => this.setState({error: error}));
+            .catch((error) => isAbort(error) || this.setState({error: error}));
+    }
+
+    componentWillUnmount() {
+        this.abortController.abort();
     }
 
     render() {
@@ -37,7 +44,7 @@ export default class Author extends React.PureComponent {
                     width="190"
                 />
                 <AuthorName name={this.state.author.name} login={this.state.author.login} html_url={this.state.author.html_url}/>
-                <Tweet/>
+                {this.props.showTweet && <Tweet/>}
             </div>
         );
     }
@@ -45,4 +52,9 @@ export default class Author extends React.PureComponent {
 
 Author.propTypes = {
     github: PropTypes.instanceOf(GitHub).isRequired,
+    showTweet: PropTypes.bool,
+};
+
+Author.defaultProps = {
+    showTweet: true,
 };
\ No newline at end of file
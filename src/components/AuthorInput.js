@@ -3,23 +3,95 @@ import 'primer-forms/index.scss';
 
 import React from 'react';
 import PropTypes from 'prop-types';
-import {authorPattern} from '../api/GitHub';
+import {authorPattern, datePattern} from '../api/GitHub';
 
 export default class AuthorInput extends React.PureComponent {
+    constructor(props) {
+        super(props);
+
+        this.submit = this.submit.bind(this);
+        this.blurRange = this.blurRange.bind(this);
+    }
+
+    get _changesRange() {
+        return this.props.showRange && Boolean(this.props.onRangeChange);
+    }
+
+    // Applies the date range alone keeping the authors shown.
+    changeRange(elements) {
+        const since = elements.since.value || null;
+        const until = elements.until.value || null;
+        if (since != (this.props.since || null) || until != (this.props.until || null)) {
+            this.props.onRangeChange({since: since, until: until});
+        }
+    }
+
+    // The range is applied once focus leaves both date inputs.
+    blurRange(event) {
+        const elements = event.target.form.elements;
+        if (this._changesRange && ![elements.since, elements.until].includes(event.relatedTarget)) {
+            this.changeRange(elements);
+        }
+    }
+
+    // Navigates without a page reload when the handler is given.
+    // Submitting without a username applies the date range only.
+    submit(event) {
+        if (!this.props.onSubmit) {
+            return;
+        }
+
+        event.preventDefault();
+
+        const elements = event.target.elements;
+        if (!elements.author.value && this._changesRange) {
+            this.changeRange(elements);
+            return;
+        }
+
+        this.props.onSubmit({
+            author: elements.author.value,
+            since: elements.since ? elements.since.value : null,
+            until: elements.until ? elements.until.value : null,
+        });
+        elements.author.value = '';
+    }
+
     render() {
         const buttonStyle = {
             display: this.props.showButton ? 'inline' : 'none',
         };
         return (
-            <form method="get">
+            <form method="get" onSubmit={this.submit}>
                 <input className="form-control"
                     type="search"
                     placeholder="GitHub username"
                     name="author"
                     pattern={authorPattern}
                     autoFocus={this.props.showButton}
-                    required
+                    required={!this._changesRange}
                 />
+                {this.props.showRange && (
+                    <span className="d-inline-flex flex-items-center ml-2">
+                        <input className="form-control input-sm"
+                            type="date"
+                            name="since"
+                            title="Since"
+                            pattern={datePattern}
+                            defaultValue={this.props.since || ''}
+                            onBlur={this.blurRange}
+                        />
+                        <span className="mx-1 text-gray">–</span>
+                        <input className="form-control input-sm"
+                            type="date"
+                            name="until"
+                            title="Until"
+                            pattern={datePattern}
+                            defaultValue={this.props.until || ''}
+                            onBlur={this.blurRange}
+                        />
+                    </span>
+                )}
                 <button style={buttonStyle} className="btn btn-primary ml-1">Show</button>
             </form>
         );
@@ -28,8 +100,14 @@ export default class AuthorInput extends React.PureComponent {
 
 AuthorInput.propTypes = {
     showButton: PropTypes.bool,
+    showRange: PropTypes.bool,
+    since: PropTypes.string,
+    until: PropTypes.string,
+    onSubmit: PropTypes.func,
+    onRangeChange: PropTypes.func,
 };
 
 AuthorInput.defaultProps = {
     showButton: false,
+    showRange: false,
 };
\ No newline at end of file
@@ -0,0 +1,46 @@
+import 'primer-buttons/index.scss';
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import GitHub from '../api/GitHub';
+
+const reasons = {
+    unauthorized: 'GitHub requires signing in to show these contributions.',
+    rateLimit: 'Signing in raises the GitHub API rate limit, so you can continue right away.',
+};
+
+// Explains why signing in is needed before redirecting to GitHub,
+// so that nobody is sent to the login page unexpectedly. Instances without
+// an OAuth app of their own are signed in with a personal access token only.
+export default class AuthorizationBanner extends React.PureComponent {
+    constructor(props) {
+        super(props);
+
+        this.requestAuthorization = this.requestAuthorization.bind(this);
+    }
+
+    requestAuthorization() {
+        GitHub.requestAuthorization(this.props.instance);
+    }
+
+    render() {
+        return (
+            <div className="d-flex flex-items-center flex-justify-between mt-2">
+                <span>
+                    {reasons[this.props.reason]} Only public data is read.
+                    You can also sign in with a personal access token from the header.
+                </span>
+                {this.props.instance.oauthClientID && (
+                    <button className="btn btn-sm btn-primary ml-3 no-wrap" onClick={this.requestAuthorization}>
+                        Sign in with GitHub
+                    </button>
+                )}
+            </div>
+        );
+    }
+}
+
+AuthorizationBanner.propTypes = {
+    reason: PropTypes.oneOf(Object.keys(reasons)).isRequired,
+    instance: PropTypes.object.isRequired,
+};
@@ -4,6 +4,7 @@ import 'primer-utilities/index.scss';
 import 'primer-marketing/index.scss';
 
 import React from 'react';
+import PropTypes from 'prop-types';
 import AuthorInput from './AuthorInput';
 
 import MergeIcon from 'octicons/build/svg/git-merge.svg';
@@ -20,9 +21,14 @@ export default class BlankSlate extends React.PureComponent {
                 <IssueClosedIcon width={48} height={48} fill="#959da5"/>
                 <PullRequestIcon width={48} height={48} fill="#959da5"/>
                 <p className="alt-lead my-3">Show off your open source contributions and check out others</p>
-                <AuthorInput showButton/>
-                <p className="alt-h6 mt-2 text-gray">For example <a className="no-underline" href="?author=31z4">31z4</a> or <a className="no-underline" href="?author=summerisgone">summerisgone</a></p>
+                <AuthorInput showButton onSubmit={this.props.onSearch}/>
+                <p className="alt-h6 mt-2 text-gray">For example <a className="no-underline" {...this.props.authorLink('31z4')}>31z4</a> or <a className="no-underline" {...this.props.authorLink('summerisgone')}>summerisgone</a></p>
             </div>
         );
     }
-}
\ No newline at end of file
+}
+
+BlankSlate.propTypes = {
+    onSearch: PropTypes.func,
+    authorLink: PropTypes.func.isRequired,
+};
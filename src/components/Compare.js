@@ -0,0 +1,140 @@
+import './Compare.scss';
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import GitHub from '../api/GitHub';
+import {isAbort} from '../api/errors';
+import Author from './Author';
+import RepositoryName from './RepositoryName';
+import Summary from './Summary';
+
+export default class Compare extends React.PureComponent {
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            pullRequests: props.githubs.map(() => null),
+            issues: props.githubs.map(() => null),
+            error: null,
+        };
+    }
+
+    componentDidMount() {
+        this.abortController = new AbortController();
+        const signal = this.abortController.signal;
+
+        this.props.githubs.forEach((github, index) => {
+            github.aggregatePullRequests(signal)
+                .then((result) => this.setResult('pullRequests', index, result))
+                .catch((error) => isAbort(error) || this.setState({error: error}));
+
+            github.aggregateIssues(signal)
+                .then((result) => this.setResult('issues', index, result))
+                .catch((error) => isAbort(error) || this.setState({error: error}));
+        });
+    }
+
+    componentWillUnmount() {
+        this.abortController.abort();
+    }
+
+    setResult(key, index, result) {
+        this.setState((state) => {
+            const values = state[key].slice();
+            values[index] = result;
+            return {[key]: values};
+        });
+    }
+
+    isLoaded(index) {
+        return Boolean(this.state.pullRequests[index] && this.state.issues[index]);
+    }
+
+    renderCell(contributions) {
+        if (contributions == null) {
+            return <span className="text-gray">–</span>;
+        }
+
+        return (
+            <span>
+                {contributions.pullRequests} PRs ({contributions.merged} merged)
+                <br/>
+                {contributions.issues} issues
+            </span>
+        );
+    }
+
+    renderTable() {
+        const loaded = this.props.githubs.every((github, index) => this.isLoaded(index));
+        if (!loaded) {
+            return (
+                <div className="blankslate mt-4">
+                    Loading...
+                </div>
+            );
+        }
+
+        const rows = GitHub.compareRepositories(this.props.githubs.map((github, index) => ({
+            pullRequests: this.state.pullRequests[index],
+            issues: this.state.issues[index],
+        })));
+
+        if (!rows.length) {
+            return (
+                <div className="blankslate mt-4">
+                    There are no contributions
+                </div>
+            );
+        }
+
+        return (
+            <table className="compare-table">
+                <thead>
+                    <tr>
+                        <th>Repository</th>
+                        {this.props.githubs.map((github) => <th key={github.author}>{github.author}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map((row) => (
+                        <tr key={row.repository.html_url}>
+                            <td>
+                                <RepositoryName full_name={row.repository.full_name} html_url={row.repository.html_url}/>
+                            </td>
+                            {row.contributions.map((contributions, index) => (
+                                <td key={index} className="compare-cell">{this.renderCell(contributions)}</td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        );
+    }
+
+    render() {
+        if (this.state.error) {
+            throw this.state.error;
+        }
+
+        return (
+            <div className="compare">
+                <div className="compare-authors">
+                    {this.props.githubs.map((github, index) => (
+                        <div key={github.author} className="compare-author">
+                            <Author github={github} showTweet={false}/>
+                            <Summary summary={this.isLoaded(index) ?
+                                GitHub.aggregateSummary(this.state.pullRequests[index], this.state.issues[index]) :
+                                null}
+                            />
+                        </div>
+                    ))}
+                </div>
+                {this.renderTable()}
+            </div>
+        );
+    }
+}
+
+Compare.propTypes = {
+    githubs: PropTypes.arrayOf(PropTypes.instanceOf(GitHub)).isRequired,
+};
@@ -9,15 +9,22 @@ export default class ErrorBoundary extends React.PureComponent {
         this.state = {
             error: null,
         };
+
+        this.retry = this.retry.bind(this);
     }
 
     componentDidCatch(error) {
         this.setState({error: error});
     }
 
+    // Children are mounted again, so they start loading from scratch.
+    retry() {
+        this.setState({error: null});
+    }
+
     render() {
         if (this.state.error) {
-            return <FlashError error={this.state.error}/>;
+            return <FlashError error={this.state.error} instance={this.props.instance} onRetry={this.retry}/>;
         }
         return this.props.children;
     }
@@ -25,4 +32,5 @@ export default class ErrorBoundary extends React.PureComponent {
 
 ErrorBoundary.propTypes = {
     children: PropTypes.element.isRequired,
+    instance: PropTypes.object,
 };
\ No newline at end of file
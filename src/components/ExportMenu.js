@@ -0,0 +1,108 @@
+import './Dropdown.scss';
+import 'primer-buttons/index.scss';
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import GitHub from '../api/GitHub';
+import {exportResults} from '../api/exporter';
+import {renderCard} from '../api/card';
+import {isAbort} from '../api/errors';
+
+const formatTitles = {
+    json: 'JSON',
+    csv: 'CSV',
+    markdown: 'Markdown',
+};
+
+// Embeds the avatar into the card, the card is exported without it if that fails.
+function _avatarDataURI(url, signal) {
+    return fetch(url, {signal: signal})
+        .then((response) => response.blob())
+        .then((blob) => new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => resolve(null);
+            reader.readAsDataURL(blob);
+        }))
+        .catch(() => null);
+}
+
+function _download(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], {type: type}));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+export default class ExportMenu extends React.PureComponent {
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            error: null,
+        };
+    }
+
+    componentDidMount() {
+        this.abortController = new AbortController();
+    }
+
+    componentWillUnmount() {
+        this.abortController.abort();
+    }
+
+    export(format) {
+        this.props.github.getUser(this.abortController.signal)
+            .then((user) => {
+                const result = exportResults(format, user, this.props.pullRequests, this.props.issues);
+                _download(result.filename, result.type, result.content);
+            })
+            .catch((error) => isAbort(error) || this.setState({error: error}));
+    }
+
+    exportCard() {
+        const signal = this.abortController.signal;
+
+        this.props.github.getUser(signal)
+            .then(async (user) => {
+                const avatar = await _avatarDataURI(user.avatar_url, signal);
+                const card = renderCard(user, this.props.pullRequests, this.props.issues, avatar);
+                _download(`${user.login}-contributions.svg`, 'image/svg+xml', card);
+            })
+            .catch((error) => isAbort(error) || this.setState({error: error}));
+    }
+
+    render() {
+        if (this.state.error) {
+            throw this.state.error;
+        }
+
+        return (
+            <details className="dropdown">
+                <summary className="btn btn-sm">Export</summary>
+                <div className="dropdown-box f6">
+                    {Object.keys(formatTitles).map((format) => (
+                        <button key={format} className="btn-link d-block py-1" type="button" onClick={() => this.export(format)}>
+                            {formatTitles[format]}
+                        </button>
+                    ))}
+                    <button className="btn-link d-block py-1" type="button" onClick={() => this.exportCard()}>
+                        SVG card
+                    </button>
+                    <a className="d-block py-1" href={this.props.cvURL}>Printable CV</a>
+                </div>
+            </details>
+        );
+    }
+}
+
+ExportMenu.propTypes = {
+    github: PropTypes.instanceOf(GitHub).isRequired,
+    pullRequests: PropTypes.arrayOf(PropTypes.object).isRequired,
+    issues: PropTypes.arrayOf(PropTypes.object).isRequired,
+    cvURL: PropTypes.string.isRequired,
+};
@@ -0,0 +1,27 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// Shows how far an aggregation has got while its results fill in.
+export default class FetchProgress extends React.PureComponent {
+    render() {
+        const pages = this.props.progress.pages;
+        const pullRequests = this.props.progress.pullRequests;
+        const repositories = this.props.progress.repositories;
+
+        return (
+            <div className="text-gray f6 mb-2">
+                Fetched {pages.fetched} of {pages.total} pages
+                {pullRequests.total > 0 && `, checked ${pullRequests.fetched} of ${pullRequests.total} pull requests`}
+                {repositories.total > 0 && `, ${repositories.fetched} of ${repositories.total} repositories`}
+            </div>
+        );
+    }
+}
+
+FetchProgress.propTypes = {
+    progress: PropTypes.shape({
+        pages: PropTypes.object.isRequired,
+        pullRequests: PropTypes.object.isRequired,
+        repositories: PropTypes.object.isRequired,
+    }).isRequired,
+};
@@ -1,13 +1,52 @@
+import 'primer-buttons/index.scss';
 import './FlashError.scss';
 
 import React from 'react';
 import PropTypes from 'prop-types';
+import GitHub from '../api/GitHub';
+import {githubInstance} from '../api/instances';
+import RateLimit from './RateLimit';
+import AuthorizationBanner from './AuthorizationBanner';
 
+// Explains the error in terms of what the user can do about it.
+// Errors thrown while loading can be retried when onRetry is given.
 export default class FlashError extends React.PureComponent {
+    renderMessage() {
+        const error = this.props.error;
+        const instance = this.props.instance;
+
+        switch (error.name) {
+        case 'AuthorizationError':
+            return <AuthorizationBanner reason="unauthorized" instance={instance}/>;
+        case 'RateLimitError':
+            return (
+                <div>
+                    <RateLimit limit={error.limit} remaining={error.remaining} reset={error.reset}/>
+                    {!GitHub.getStoredToken(instance) && <AuthorizationBanner reason="rateLimit" instance={instance}/>}
+                </div>
+            );
+        case 'UserNotFoundError':
+            return <div>There is no user {error.login} on {instance.name}. Please check the username.</div>;
+        case 'NetworkError':
+            return <div>Could not connect to {instance.name}. Please check your network connection.</div>;
+        case 'ServerError':
+            return <div>{instance.name} failed with HTTP {error.status}. This is usually temporary.</div>;
+        default:
+            return <div>{error.message}</div>;
+        }
+    }
+
     render() {
         return (
-            <div className="error">
-                {this.props.error.message}
+            <div className="error d-flex flex-items-start flex-justify-between">
+                <div className="flex-auto">
+                    {this.renderMessage()}
+                </div>
+                {this.props.onRetry && (
+                    <button className="btn btn-sm ml-3 no-wrap" onClick={this.props.onRetry}>
+                        Retry
+                    </button>
+                )}
             </div>
         );
     }
@@ -15,4 +54,10 @@ export default class FlashError extends React.PureComponent {
 
 FlashError.propTypes = {
     error: PropTypes.instanceOf(Error).isRequired,
-};
\ No newline at end of file
+    instance: PropTypes.object,
+    onRetry: PropTypes.func,
+};
+
+FlashError.defaultProps = {
+    instance: githubInstance,
+};
@@ -2,22 +2,66 @@ import './Header.scss';
 
 import React from 'react';
 import PropTypes from 'prop-types';
+import {writeInstance} from '../api/instances';
 import AuthorInput from './AuthorInput';
 import MarkGitHub from './MarkGitHub';
+import PolicySettings from './PolicySettings';
+import SignIn from './SignIn';
+import Viewer from './Viewer';
 
 const logoClass = 'h4 no-underline text-shadow-light text-gray mr-3';
 
 export default class Header extends React.PureComponent {
+    // The logo leads to the landing page of the GitHub instance shown.
+    homeURL() {
+        const params = new URLSearchParams();
+        if (this.props.instance) {
+            writeInstance(params, this.props.instance);
+        }
+        const query = params.toString();
+        return query ? '/?' + query : '/';
+    }
+
+    renderAccount() {
+        if (this.props.viewer) {
+            return <Viewer viewer={this.props.viewer} onSignOut={this.props.onSignOut}/>;
+        }
+        return this.props.onSignIn && this.props.instance && (
+            <SignIn instance={this.props.instance} onSignIn={this.props.onSignIn}/>
+        );
+    }
+
     render() {
         if (this.props.showInput) {
             return (
                 <div className="header">
                     <div className="header-contents">
                         <div className="d-inline-flex flex-items-center">
-                            <a className={logoClass} href="/">My Contributions</a>
-                            <AuthorInput/>
+                            <a className={logoClass} href={this.homeURL()}>My Contributions</a>
+                            <AuthorInput showRange
+                                key={`${this.props.since}..${this.props.until}`}
+                                since={this.props.since}
+                                until={this.props.until}
+                                onSubmit={this.props.onSearch}
+                                onRangeChange={this.props.onRangeChange}
+                            />
+                        </div>
+                        <div className="d-inline-flex flex-items-center">
+                            {this.props.policy && (
+                                <PolicySettings
+                                    key={JSON.stringify(this.props.policy)}
+                                    policy={this.props.policy}
+                                    onChange={this.props.onPolicyChange}
+                                />
+                            )}
+                            {this.props.onClearCache && (
+                                <button className="btn-link link-gray f6 mr-3" onClick={this.props.onClearCache}>
+                                    Clear cache
+                                </button>
+                            )}
+                            {this.renderAccount()}
+                            <MarkGitHub/>
                         </div>
-                        <MarkGitHub/>
                     </div>
                 </div>
             );
@@ -25,8 +69,11 @@ export default class Header extends React.PureComponent {
         return (
             <div className="header">
                 <div className="header-contents">
-                    <a className={logoClass} href="/">My Contributions</a>
-                    <MarkGitHub/>
+                    <a className={logoClass} href={this.homeURL()}>My Contributions</a>
+                    <div className="d-inline-flex flex-items-center">
+                        {this.renderAccount()}
+                        <MarkGitHub/>
+                    </div>
                 </div>
             </div>
         );
@@ -35,6 +82,17 @@ export default class Header extends React.PureComponent {
 
 Header.propTypes = {
     showInput: PropTypes.bool,
+    since: PropTypes.string,
+    until: PropTypes.string,
+    onClearCache: PropTypes.func,
+    policy: PropTypes.object,
+    onPolicyChange: PropTypes.func,
+    onSearch: PropTypes.func,
+    onRangeChange: PropTypes.func,
+    instance: PropTypes.object,
+    viewer: PropTypes.object,
+    onSignIn: PropTypes.func,
+    onSignOut: PropTypes.func,
 };
 
 Header.defaultProps = {
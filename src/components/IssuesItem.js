@@ -4,9 +4,21 @@ import RepositoryLanguage from './RepositoryLanguage';
 import RepositoryStars from './RepositoryStars';
 import RepositoryName from './RepositoryName';
 import RepositoryCounter from './RepositoryCounter';
-import moment from 'moment';
+import RepositoryItems from './RepositoryItems';
+import Time from './Time';
+import {expandedKey} from '../api/view';
 
 export default class IssuesItem extends React.PureComponent {
+    constructor(props) {
+        super(props);
+
+        this.toggle = this.toggle.bind(this);
+    }
+
+    toggle() {
+        this.props.onToggle(expandedKey('issue', this.props.item));
+    }
+
     render() {
         return (
             <div className="border-top py-1">
@@ -26,9 +38,13 @@ export default class IssuesItem extends React.PureComponent {
                         <RepositoryStars value={this.props.item.repository.stargazers_count}/>
                     </div>
                     <div className="f6 mt-1">
-                        {moment(this.props.item.updated_at).fromNow()}
+                        <button className="btn-link link-gray mr-2" onClick={this.toggle}>
+                            {this.props.expanded ? 'Hide' : 'Show'} issues
+                        </button>
+                        <Time value={this.props.item.updated_at} absolute={this.props.absoluteDates}/>
                     </div>
                 </div>
+                {this.props.expanded && <RepositoryItems items={this.props.item.items} absoluteDates={this.props.absoluteDates}/>}
             </div>
         );
     }
@@ -45,7 +61,16 @@ IssuesItem.propTypes = {
         open: PropTypes.number.isRequired,
         closed: PropTypes.number.isRequired,
         updated_at: PropTypes.instanceOf(Date).isRequired,
+        items: PropTypes.arrayOf(PropTypes.object).isRequired,
         open_html_url: PropTypes.string.isRequired,
         closed_html_url: PropTypes.string.isRequired,
     }).isRequired,
+    expanded: PropTypes.bool,
+    onToggle: PropTypes.func.isRequired,
+    absoluteDates: PropTypes.bool,
+};
+
+IssuesItem.defaultProps = {
+    expanded: false,
+    absoluteDates: false,
 };
\ No newline at end of file
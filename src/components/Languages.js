@@ -0,0 +1,60 @@
+import './Languages.scss';
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import GitHubColors from 'github-colors';
+import RepositoryLanguage from './RepositoryLanguage';
+
+export default class Languages extends React.PureComponent {
+    render() {
+        if (!this.props.languages.length) {
+            return null;
+        }
+
+        const total = this.props.languages.reduce((sum, value) => sum + value.pullRequests + value.issues, 0);
+
+        const bar = this.props.languages.map((value) => {
+            const style = {
+                width: `${(value.pullRequests + value.issues) / total * 100}%`,
+                backgroundColor: GitHubColors.get(value.language, true).color,
+            };
+            return <span key={value.language} style={style} title={value.language}/>;
+        });
+
+        const items = this.props.languages.map((value) => {
+            const selected = value.language == this.props.selected;
+            return (
+                <button key={value.language}
+                    className={`languages-item text-gray ${selected ? 'selected' : ''}`}
+                    onClick={() => this.props.onSelect(selected ? null : value.language)}
+                >
+                    <RepositoryLanguage value={value.language}/>
+                    <div className="f6 pl-3">
+                        {value.pullRequests} pull requests, {value.merged} merged, {value.issues} issues
+                    </div>
+                </button>
+            );
+        });
+
+        return (
+            <div className="languages">
+                <h4 className="mb-2">Languages</h4>
+                <div className="languages-bar">
+                    {bar}
+                </div>
+                {items}
+            </div>
+        );
+    }
+}
+
+Languages.propTypes = {
+    languages: PropTypes.arrayOf(PropTypes.shape({
+        language: PropTypes.string.isRequired,
+        pullRequests: PropTypes.number.isRequired,
+        merged: PropTypes.number.isRequired,
+        issues: PropTypes.number.isRequired,
+    })).isRequired,
+    selected: PropTypes.string,
+    onSelect: PropTypes.func.isRequired,
+};
@@ -0,0 +1,165 @@
+import './Organization.scss';
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import GitHub from '../api/GitHub';
+import {isAbort} from '../api/errors';
+import RepositoryName from './RepositoryName';
+import Summary from './Summary';
+
+// Members are aggregated a few at a time to stay within the search rate limit.
+const memberConcurrency = 2;
+const topRepositories = 20;
+
+export default class Organization extends React.PureComponent {
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            members: null,
+            results: [],
+            error: null,
+        };
+    }
+
+    componentDidMount() {
+        this.abortController = new AbortController();
+        this.aggregate(this.abortController.signal).catch((error) => isAbort(error) || this.setState({error: error}));
+    }
+
+    componentWillUnmount() {
+        this.abortController.abort();
+    }
+
+    async aggregate(signal) {
+        const members = await this.props.github.getMembers(this.props.team, signal);
+        this.setState({members: members});
+
+        const queue = members.slice();
+        const worker = async () => {
+            while (queue.length) {
+                const github = this.props.github.forAuthor(queue.shift());
+                const pullRequests = await github.aggregatePullRequests(signal);
+                const issues = await github.aggregateIssues(signal);
+                const result = {author: github.author, pullRequests: pullRequests, issues: issues};
+                this.setState((state) => ({results: state.results.concat([result])}));
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < memberConcurrency; i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+    }
+
+    renderRepositories(repositories) {
+        return (
+            <table className="organization-table">
+                <thead>
+                    <tr>
+                        <th>Repository</th>
+                        <th>Members</th>
+                        <th>Pull requests</th>
+                        <th>Merged</th>
+                        <th>Issues</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {repositories.slice(0, topRepositories).map((row) => (
+                        <tr key={row.repository.html_url}>
+                            <td>
+                                <RepositoryName full_name={row.repository.full_name} html_url={row.repository.html_url}/>
+                            </td>
+                            <td>{row.members}</td>
+                            <td>{row.pullRequests}</td>
+                            <td>{row.merged}</td>
+                            <td>{row.issues}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        );
+    }
+
+    renderMembers(members) {
+        return (
+            <table className="organization-table">
+                <thead>
+                    <tr>
+                        <th>Member</th>
+                        <th>Repositories</th>
+                        <th>Pull requests</th>
+                        <th>Merged</th>
+                        <th>Issues</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {members.map((member) => (
+                        <tr key={member.author}>
+                            <td>
+                                <a className="link-gray no-underline" {...this.props.authorLink(member.author)}>
+                                    {member.author}
+                                </a>
+                            </td>
+                            <td>{member.summary.repositories}</td>
+                            <td>{member.summary.pullRequests}</td>
+                            <td>{member.summary.merged}</td>
+                            <td>{member.summary.issues}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        );
+    }
+
+    render() {
+        if (this.state.error) {
+            throw this.state.error;
+        }
+
+        const title = this.props.github.author + (this.props.team ? ' / ' + this.props.team : '');
+        const members = this.state.members;
+
+        if (members == null || this.state.results.length < members.length) {
+            return (
+                <div className="organization">
+                    <h2>{title}</h2>
+                    <div className="blankslate">
+                        {members ? `Loading ${this.state.results.length} of ${members.length} members...` : 'Loading...'}
+                    </div>
+                </div>
+            );
+        }
+
+        if (!members.length) {
+            return (
+                <div className="organization">
+                    <h2>{title}</h2>
+                    <div className="blankslate">
+                        There are no public members
+                    </div>
+                </div>
+            );
+        }
+
+        const result = GitHub.aggregateOrganization(this.props.github.author, this.state.results);
+
+        return (
+            <div className="organization">
+                <h2>{title}</h2>
+                <Summary summary={result.summary}/>
+                <h3 className="mt-4">Top upstream repositories</h3>
+                {this.renderRepositories(result.repositories)}
+                <h3 className="mt-4">Members</h3>
+                {this.renderMembers(result.members)}
+            </div>
+        );
+    }
+}
+
+Organization.propTypes = {
+    github: PropTypes.instanceOf(GitHub).isRequired,
+    team: PropTypes.string,
+    authorLink: PropTypes.func.isRequired,
+};
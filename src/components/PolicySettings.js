@@ -0,0 +1,123 @@
+import './Dropdown.scss';
+import './PolicySettings.scss';
+import 'primer-buttons/index.scss';
+import 'primer-forms/index.scss';
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {associations, defaultPolicy, splitList} from '../api/policy';
+
+export default class PolicySettings extends React.PureComponent {
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            include: props.policy.include,
+            exclude: props.policy.exclude,
+            owners: props.policy.owners.join(', '),
+            repositories: props.policy.repositories.join(', '),
+        };
+
+        this.changeText = this.changeText.bind(this);
+        this.reset = this.reset.bind(this);
+        this.submit = this.submit.bind(this);
+    }
+
+    toggle(key, association) {
+        this.setState((state) => ({
+            [key]: state[key].includes(association) ?
+                state[key].filter((value) => value != association) :
+                state[key].concat([association]),
+        }));
+    }
+
+    changeText(event) {
+        this.setState({[event.target.name]: event.target.value});
+    }
+
+    reset() {
+        this.props.onChange(defaultPolicy);
+    }
+
+    submit(event) {
+        event.preventDefault();
+        this.props.onChange({
+            include: associations.filter((value) => this.state.include.includes(value)),
+            exclude: associations.filter((value) => this.state.exclude.includes(value)),
+            owners: splitList(this.state.owners),
+            repositories: splitList(this.state.repositories),
+        });
+    }
+
+    render() {
+        return (
+            <details className="dropdown">
+                <summary className="link-gray f6">Filters</summary>
+                <form className="dropdown-box policy-settings f6" onSubmit={this.submit}>
+                    <table>
+                        <thead>
+                            <tr>
+                                <th className="text-left">Association</th>
+                                <th>Only</th>
+                                <th>Skip</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {associations.map((association) => (
+                                <tr key={association}>
+                                    <td>{association.toLowerCase().replace(/_/g, ' ')}</td>
+                                    <td className="text-center">
+                                        <input type="checkbox"
+                                            checked={this.state.include.includes(association)}
+                                            onChange={() => this.toggle('include', association)}
+                                        />
+                                    </td>
+                                    <td className="text-center">
+                                        <input type="checkbox"
+                                            checked={this.state.exclude.includes(association)}
+                                            onChange={() => this.toggle('exclude', association)}
+                                        />
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <label className="d-block mt-2">
+                        Skip owners
+                        <input className="form-control input-sm"
+                            type="text"
+                            name="owners"
+                            placeholder="org, user"
+                            value={this.state.owners}
+                            onChange={this.changeText}
+                        />
+                    </label>
+                    <label className="d-block mt-2">
+                        Skip repositories
+                        <input className="form-control input-sm"
+                            type="text"
+                            name="repositories"
+                            placeholder="owner/name"
+                            value={this.state.repositories}
+                            onChange={this.changeText}
+                        />
+                    </label>
+                    <div className="mt-3">
+                        <button className="btn btn-sm btn-primary" type="submit">Apply</button>
+                        <button className="btn btn-sm ml-2" type="button" onClick={this.reset}>Reset</button>
+                    </div>
+                </form>
+            </details>
+        );
+    }
+}
+
+PolicySettings.propTypes = {
+    policy: PropTypes.shape({
+        include: PropTypes.arrayOf(PropTypes.string).isRequired,
+        exclude: PropTypes.arrayOf(PropTypes.string).isRequired,
+        owners: PropTypes.arrayOf(PropTypes.string).isRequired,
+        repositories: PropTypes.arrayOf(PropTypes.string).isRequired,
+    }).isRequired,
+    onChange: PropTypes.func.isRequired,
+};
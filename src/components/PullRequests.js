@@ -1,42 +1,30 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import GitHub from '../api/GitHub';
 import PullRequestsItem from './PullRequestsItem';
+import FetchProgress from './FetchProgress';
+import {expandedKey} from '../api/view';
 
 export default class PullRequests extends React.PureComponent {
-    constructor(props) {
-        super(props);
-
-        this.state = {
-            items: null,
-            error: null,
-        };
-    }
-
-    componentDidMount() {
-        this.props.github.aggregatePullRequests()
-            .then((result) => this.setState({items: result}))
-            .catch((error) => this.setState({error: error}));
-    }
-
     render() {
-        if (this.state.error) {
-            throw this.state.error;
-        }
-
         const header = <h3>Pull Requests</h3>;
+        const progress = this.props.progress && <FetchProgress progress={this.props.progress}/>;
         let items;
 
-        if (this.state.items == null) {
+        if (this.props.items == null) {
             items = (
                 <div className="blankslate">
-                    Loading...
+                    {progress || 'Loading...'}
                 </div>
             );
         }
-        else if (this.state.items.length) {
-            items = this.state.items.map((item) =>
-                <PullRequestsItem key={item.repository.html_url} item={item}/>
+        else if (this.props.items.length) {
+            items = this.props.items.map((item) =>
+                <PullRequestsItem key={item.repository.html_url}
+                    item={item}
+                    expanded={this.props.expanded.includes(expandedKey('pr', item))}
+                    onToggle={this.props.onToggle}
+                    absoluteDates={this.props.absoluteDates}
+                />
             );
         }
         else {
@@ -50,6 +38,7 @@ export default class PullRequests extends React.PureComponent {
         return (
             <div className="flex-row mt-3">
                 {header}
+                {this.props.items != null && progress}
                 {items}
             </div>
         );
@@ -57,5 +46,14 @@ export default class PullRequests extends React.PureComponent {
 }
 
 PullRequests.propTypes = {
-    github: PropTypes.instanceOf(GitHub).isRequired,
+    items: PropTypes.arrayOf(PropTypes.object),
+    progress: PropTypes.object,
+    expanded: PropTypes.arrayOf(PropTypes.string),
+    onToggle: PropTypes.func.isRequired,
+    absoluteDates: PropTypes.bool,
+};
+
+PullRequests.defaultProps = {
+    expanded: [],
+    absoluteDates: false,
 };
\ No newline at end of file
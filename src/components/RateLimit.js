@@ -0,0 +1,40 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import moment from 'moment';
+
+export default class RateLimit extends React.PureComponent {
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            now: Date.now(),
+        };
+    }
+
+    componentDidMount() {
+        this.timer = setInterval(() => this.setState({now: Date.now()}), 1000);
+    }
+
+    componentWillUnmount() {
+        clearInterval(this.timer);
+    }
+
+    render() {
+        const resetIn = Math.max(this.props.reset - this.state.now, 0);
+        const quota = Boolean(this.props.limit) && (
+            <span> {this.props.remaining} of {this.props.limit} requests remaining.</span>
+        );
+
+        return (
+            <div>
+                GitHub API rate limit exceeded.{quota} It resets in {moment.utc(resetIn).format('H:mm:ss')}.
+            </div>
+        );
+    }
+}
+
+RateLimit.propTypes = {
+    limit: PropTypes.number.isRequired,
+    remaining: PropTypes.number.isRequired,
+    reset: PropTypes.instanceOf(Date).isRequired,
+};
@@ -0,0 +1,50 @@
+import './RepositoryItems.scss';
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import Time from './Time';
+
+export default class RepositoryItems extends React.PureComponent {
+    render() {
+        const items = this.props.items.map((item) => {
+            const closed = item.closed_at && (
+                <span>, {item.state == 'merged' ? 'merged' : 'closed'} <Time value={item.closed_at} absolute={this.props.absoluteDates}/></span>
+            );
+
+            return (
+                <li key={item.html_url} className="d-flex flex-justify-between f6 py-1">
+                    <div>
+                        <span className={`repository-item-state ${item.state}`}>{item.state}</span>
+                        <a className="link-gray-dark no-underline" href={item.html_url}>{item.title}</a>
+                        <span className="text-gray ml-1">#{item.number}</span>
+                    </div>
+                    <div className="text-gray no-wrap ml-3">
+                        opened <Time value={item.created_at} absolute={this.props.absoluteDates}/>{closed}
+                    </div>
+                </li>
+            );
+        });
+
+        return (
+            <ul className="repository-items">
+                {items}
+            </ul>
+        );
+    }
+}
+
+RepositoryItems.propTypes = {
+    items: PropTypes.arrayOf(PropTypes.shape({
+        title: PropTypes.string.isRequired,
+        number: PropTypes.number.isRequired,
+        state: PropTypes.string.isRequired,
+        html_url: PropTypes.string.isRequired,
+        created_at: PropTypes.string.isRequired,
+        closed_at: PropTypes.string,
+    })).isRequired,
+    absoluteDates: PropTypes.bool,
+};
+
+RepositoryItems.defaultProps = {
+    absoluteDates: false,
+};
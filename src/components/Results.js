@@ -1,20 +1,223 @@
 import './Results.scss';
+import './Cv.scss';
 
 import React from 'react';
 import PropTypes from 'prop-types';
 import GitHub from '../api/GitHub';
 import Author from './Author';
+import Languages from './Languages';
+import Timeline from './Timeline';
 import PullRequests from './PullRequests';
 import Issues from './Issues';
+import Reviews from './Reviews';
+import Toolbar from './Toolbar';
+import ExportMenu from './ExportMenu';
+import Summary from './Summary';
+import Router from '../api/router';
+import {applyView, readView, writeView, tabs} from '../api/view';
+import {isAbort} from '../api/errors';
+
+const tabTitles = {
+    'all': 'Overview',
+    'pull-requests': 'Pull requests',
+    'issues': 'Issues',
+    'reviews': 'Reviews',
+};
 
 export default class Results extends React.PureComponent {
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            pullRequests: null,
+            issues: null,
+            reviews: null,
+            pullRequestsProgress: null,
+            issuesProgress: null,
+            reviewsProgress: null,
+            view: readView(props.router.params),
+            error: null,
+        };
+
+        this.changeView = this.changeView.bind(this);
+        this.changeFilters = this.changeFilters.bind(this);
+        this.selectLanguage = this.selectLanguage.bind(this);
+        this.toggleExpanded = this.toggleExpanded.bind(this);
+    }
+
+    componentDidMount() {
+        this.unlisten = this.props.router.listen((params) => this.setState({view: readView(params)}));
+
+        this.abortController = new AbortController();
+        const signal = this.abortController.signal;
+
+        this.props.github.aggregatePullRequests(signal, (progress) => this.setState({pullRequestsProgress: progress}))
+            .then((result) => this.setState({pullRequests: result, pullRequestsProgress: null}))
+            .catch((error) => isAbort(error) || this.setState({error: error}));
+
+        this.props.github.aggregateIssues(signal, (progress) => this.setState({issuesProgress: progress}))
+            .then((result) => this.setState({issues: result, issuesProgress: null}))
+            .catch((error) => isAbort(error) || this.setState({error: error}));
+
+        this.props.github.aggregateReviews(signal, (progress) => this.setState({reviewsProgress: progress}))
+            .then((result) => this.setState({reviews: result, reviewsProgress: null}))
+            .catch((error) => isAbort(error) || this.setState({error: error}));
+    }
+
+    componentWillUnmount() {
+        this.unlisten();
+        this.abortController.abort();
+    }
+
+    changeView(changes, replace = false) {
+        const view = Object.assign({}, this.state.view, changes);
+        this.props.router.navigate((params) => writeView(params, view), replace);
+    }
+
+    // Filters change on every keystroke, so they replace the history entry.
+    changeFilters(changes) {
+        this.changeView(changes, true);
+    }
+
+    selectLanguage(language) {
+        this.changeView({language: language});
+    }
+
+    toggleExpanded(key) {
+        const expanded = this.state.view.expanded;
+        this.changeView({
+            expanded: expanded.includes(key) ? expanded.filter((value) => value != key) : expanded.concat([key]),
+        });
+    }
+
+    // Lists fill in with repositories aggregated so far until the results are complete.
+    listItems(key) {
+        const progress = this.state[key + 'Progress'];
+        const items = this.state[key] || (progress && progress.results.length ? progress.results : null);
+        return applyView(items, this.state.view);
+    }
+
+    renderTabs() {
+        return (
+            <nav className="results-tabs mt-3">
+                {tabs.map((tab) => (
+                    <button key={tab}
+                        className={'results-tab' + (tab == this.state.view.tab ? ' selected' : '')}
+                        onClick={() => this.changeView({tab: tab})}
+                    >
+                        {tabTitles[tab]}
+                    </button>
+                ))}
+            </nav>
+        );
+    }
+
+    // Compact layout meant to be printed and attached to a CV.
+    renderCV() {
+        const loaded = this.state.pullRequests && this.state.issues;
+
+        return (
+            <div className="cv">
+                <div className="cv-header">
+                    <Author github={this.props.github} showTweet={false}/>
+                    <button className="btn btn-sm" onClick={() => window.print()}>Print</button>
+                </div>
+                {loaded && <Summary summary={GitHub.aggregateSummary(this.state.pullRequests, this.state.issues)}/>}
+                <PullRequests
+                    items={this.listItems('pullRequests')}
+                    progress={this.state.pullRequestsProgress}
+                    expanded={this.state.view.expanded}
+                    onToggle={this.toggleExpanded}
+                    absoluteDates
+                />
+                <Issues
+                    items={this.listItems('issues')}
+                    progress={this.state.issuesProgress}
+                    expanded={this.state.view.expanded}
+                    onToggle={this.toggleExpanded}
+                    absoluteDates
+                />
+                <Reviews
+                    items={this.listItems('reviews')}
+                    progress={this.state.reviewsProgress}
+                    expanded={this.state.view.expanded}
+                    onToggle={this.toggleExpanded}
+                    absoluteDates
+                />
+            </div>
+        );
+    }
+
     render() {
+        if (this.state.error) {
+            throw this.state.error;
+        }
+
+        if (this.props.cv) {
+            return this.renderCV();
+        }
+
+        const loaded = this.state.pullRequests && this.state.issues;
+
+        const timeline = loaded && (
+            <Timeline months={GitHub.aggregateTimeline(this.state.pullRequests, this.state.issues, this.props.github.until)}/>
+        );
+
+        const languages = loaded ? GitHub.aggregateLanguages(this.state.pullRequests, this.state.issues) : [];
+        const tab = this.state.view.tab;
+
         return (
             <div className="results">
-                <Author github={this.props.github}/>
+                <div className="sidebar">
+                    <Author github={this.props.github}/>
+                    <Languages
+                        languages={languages}
+                        selected={this.state.view.language}
+                        onSelect={this.selectLanguage}
+                    />
+                </div>
                 <div className="contributions">
-                    <PullRequests github={this.props.github}/>
-                    <Issues github={this.props.github}/>
+                    {loaded && (
+                        <div className="d-flex flex-justify-end">
+                            <ExportMenu
+                                github={this.props.github}
+                                pullRequests={this.state.pullRequests}
+                                issues={this.state.issues}
+                                cvURL={this.props.router.href((params) => params.set('view', 'cv'))}
+                            />
+                        </div>
+                    )}
+                    {tab == 'all' && timeline}
+                    {this.renderTabs()}
+                    <Toolbar
+                        view={this.state.view}
+                        languages={languages.map((value) => value.language)}
+                        onChange={this.changeFilters}
+                    />
+                    {(tab == 'all' || tab == 'pull-requests') && (
+                        <PullRequests
+                            items={this.listItems('pullRequests')}
+                            progress={this.state.pullRequestsProgress}
+                            expanded={this.state.view.expanded}
+                            onToggle={this.toggleExpanded}
+                        />
+                    )}
+                    {(tab == 'all' || tab == 'issues') && (
+                        <Issues
+                            items={this.listItems('issues')}
+                            progress={this.state.issuesProgress}
+                            expanded={this.state.view.expanded}
+                            onToggle={this.toggleExpanded}
+                        />
+                    )}
+                    {(tab == 'all' || tab == 'reviews') && (
+                        <Reviews
+                            items={this.listItems('reviews')}
+                            progress={this.state.reviewsProgress}
+                            expanded={this.state.view.expanded}
+                            onToggle={this.toggleExpanded}
+                        />
+                    )}
                 </div>
             </div>
         );
@@ -23,4 +226,10 @@ export default class Results extends React.PureComponent {
 
 Results.propTypes = {
     github: PropTypes.instanceOf(GitHub).isRequired,
-};
\ No newline at end of file
+    router: PropTypes.instanceOf(Router).isRequired,
+    cv: PropTypes.bool,
+};
+
+Results.defaultProps = {
+    cv: false,
+};
@@ -0,0 +1,62 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import PullRequestsItem from './PullRequestsItem';
+import FetchProgress from './FetchProgress';
+import {expandedKey} from '../api/view';
+
+// Pull requests of others the author reviewed, counted per repository.
+export default class Reviews extends React.PureComponent {
+    render() {
+        const header = <h3>Reviews</h3>;
+        const progress = this.props.progress && <FetchProgress progress={this.props.progress}/>;
+        let items;
+
+        if (this.props.items == null) {
+            items = (
+                <div className="blankslate">
+                    {progress || 'Loading...'}
+                </div>
+            );
+        }
+        else if (this.props.items.length) {
+            items = this.props.items.map((item) =>
+                <PullRequestsItem key={item.repository.html_url}
+                    item={item}
+                    type="review"
+                    label="reviewed pull requests"
+                    expanded={this.props.expanded.includes(expandedKey('review', item))}
+                    onToggle={this.props.onToggle}
+                    absoluteDates={this.props.absoluteDates}
+                />
+            );
+        }
+        else {
+            items = (
+                <div className="blankslate">
+                    There are no reviews
+                </div>
+            );
+        }
+
+        return (
+            <div className="flex-row mt-3">
+                {header}
+                {this.props.items != null && progress}
+                {items}
+            </div>
+        );
+    }
+}
+
+Reviews.propTypes = {
+    items: PropTypes.arrayOf(PropTypes.object),
+    progress: PropTypes.object,
+    expanded: PropTypes.arrayOf(PropTypes.string),
+    onToggle: PropTypes.func.isRequired,
+    absoluteDates: PropTypes.bool,
+};
+
+Reviews.defaultProps = {
+    expanded: [],
+    absoluteDates: false,
+};
@@ -0,0 +1,74 @@
+import './Dropdown.scss';
+import 'primer-buttons/index.scss';
+import 'primer-forms/index.scss';
+
+import React from 'react';
+import PropTypes from 'prop-types';
+
+export default class SignIn extends React.PureComponent {
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            token: '',
+            persistent: false,
+            pending: false,
+            error: null,
+        };
+
+        this.changeToken = this.changeToken.bind(this);
+        this.changePersistent = this.changePersistent.bind(this);
+        this.submit = this.submit.bind(this);
+    }
+
+    changeToken(event) {
+        this.setState({token: event.target.value.trim()});
+    }
+
+    changePersistent(event) {
+        this.setState({persistent: event.target.checked});
+    }
+
+    submit(event) {
+        event.preventDefault();
+        this.setState({pending: true, error: null});
+
+        this.props.onSignIn(this.state.token, this.state.persistent)
+            .catch((error) => this.setState({pending: false, error: error}));
+    }
+
+    render() {
+        return (
+            <details className="dropdown">
+                <summary className="link-gray f6">Sign in</summary>
+                <form className="dropdown-box f6" style={{width: '300px'}} onSubmit={this.submit}>
+                    <p>
+                        Paste a <a href={this.props.instance.webURL + '/settings/personal-access-tokens/new'}>fine-grained personal access token</a>.
+                        No permissions are needed to read public contributions.
+                    </p>
+                    <input className="form-control input-sm input-block"
+                        type="password"
+                        placeholder="github_pat_..."
+                        autoComplete="off"
+                        value={this.state.token}
+                        onChange={this.changeToken}
+                        required
+                    />
+                    <label className="d-block mt-2 text-normal">
+                        <input type="checkbox" checked={this.state.persistent} onChange={this.changePersistent}/>
+                        &nbsp;Stay signed in on this device
+                    </label>
+                    {this.state.error && <p className="text-red mt-2 mb-0">{this.state.error.message}</p>}
+                    <button className="btn btn-sm btn-primary mt-3" type="submit" disabled={this.state.pending}>
+                        Sign in
+                    </button>
+                </form>
+            </details>
+        );
+    }
+}
+
+SignIn.propTypes = {
+    instance: PropTypes.object.isRequired,
+    onSignIn: PropTypes.func.isRequired,
+};
@@ -0,0 +1,41 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+export default class Summary extends React.PureComponent {
+    render() {
+        if (this.props.summary == null) {
+            return (
+                <div className="blankslate">
+                    Loading...
+                </div>
+            );
+        }
+
+        const rows = [
+            ['Repositories', this.props.summary.repositories],
+            ['Pull requests', this.props.summary.pullRequests],
+            ['Merged', this.props.summary.merged],
+            ['Issues', this.props.summary.issues],
+        ];
+
+        return (
+            <dl className="summary">
+                {rows.map((row) => (
+                    <div key={row[0]} className="d-flex flex-justify-between">
+                        <dt className="text-gray">{row[0]}</dt>
+                        <dd className="text-bold">{row[1]}</dd>
+                    </div>
+                ))}
+            </dl>
+        );
+    }
+}
+
+Summary.propTypes = {
+    summary: PropTypes.shape({
+        repositories: PropTypes.number.isRequired,
+        pullRequests: PropTypes.number.isRequired,
+        merged: PropTypes.number.isRequired,
+        issues: PropTypes.number.isRequired,
+    }),
+};
@@ -0,0 +1,26 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import moment from 'moment';
+
+export default class Time extends React.PureComponent {
+    render() {
+        const value = moment(this.props.value);
+        return (
+            <time dateTime={value.toISOString()} title={value.format('LLL')}>
+                {this.props.absolute ? value.format('ll') : value.fromNow()}
+            </time>
+        );
+    }
+}
+
+Time.propTypes = {
+    value: PropTypes.oneOfType([
+        PropTypes.string,
+        PropTypes.instanceOf(Date),
+    ]).isRequired,
+    absolute: PropTypes.bool,
+};
+
+Time.defaultProps = {
+    absolute: false,
+};
@@ -0,0 +1,88 @@
+import './Timeline.scss';
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import moment from 'moment';
+
+const width = 600;
+const height = 120;
+const margin = 5;
+
+const series = [
+    {key: 'pullRequests', title: 'Pull requests opened', color: '#28a745'},
+    {key: 'merged', title: 'Pull requests merged', color: '#6f42c1'},
+    {key: 'issues', title: 'Issues opened', color: '#0366d6'},
+];
+
+export default class Timeline extends React.PureComponent {
+    render() {
+        const months = this.props.months;
+        if (!months.length) {
+            return null;
+        }
+
+        const max = Math.max(1, ...months.map((month) => Math.max(month.pullRequests, month.merged, month.issues)));
+        const step = width / months.length;
+        const x = (index) => index * step + step / 2;
+        const y = (value) => margin + (height - margin) * (1 - value / max);
+
+        const lines = series.map((line) =>
+            <polyline key={line.key}
+                fill="none"
+                stroke={line.color}
+                strokeWidth={2}
+                strokeLinejoin="round"
+                points={months.map((month, index) => `${x(index)},${y(month[line.key])}`).join(' ')}
+            />
+        );
+
+        const labels = months.map((month, index) => (index == 0 || month.month.endsWith('-01')) && (
+            <text key={month.month} className="timeline-label" x={index * step} y={height + 15}>
+                {month.month.slice(0, 4)}
+            </text>
+        ));
+
+        const hovers = months.map((month, index) =>
+            <rect key={month.month} className="timeline-month" x={index * step} y={0} width={step} height={height}>
+                <title>
+                    {moment(month.month, 'YYYY-MM').format('MMMM YYYY')}: {month.pullRequests} opened, {month.merged} merged, {month.issues} issues
+                </title>
+            </rect>
+        );
+
+        const active = months.filter((month) => month.pullRequests || month.merged || month.issues).pop();
+
+        const legend = series.map((line) =>
+            <span key={line.key} className="mr-3">
+                <span className="timeline-legend" style={{backgroundColor: line.color}}/>&nbsp;{line.title}
+            </span>
+        );
+
+        return (
+            <div className="flex-row mt-3">
+                <h3>Activity</h3>
+                <div className="f6 text-gray mb-2">
+                    Last contribution in {moment(active.month, 'YYYY-MM').format('MMMM YYYY')}
+                </div>
+                <svg className="timeline" viewBox={`0 0 ${width} ${height + 20}`}>
+                    <line className="timeline-axis" x1={0} y1={height} x2={width} y2={height}/>
+                    {hovers}
+                    {lines}
+                    {labels}
+                </svg>
+                <div className="f6 text-gray">
+                    {legend}
+                </div>
+            </div>
+        );
+    }
+}
+
+Timeline.propTypes = {
+    months: PropTypes.arrayOf(PropTypes.shape({
+        month: PropTypes.string.isRequired,
+        pullRequests: PropTypes.number.isRequired,
+        merged: PropTypes.number.isRequired,
+        issues: PropTypes.number.isRequired,
+    })).isRequired,
+};
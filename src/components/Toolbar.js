@@ -0,0 +1,93 @@
+import 'primer-forms/index.scss';
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {sorts, states} from '../api/view';
+
+const sortTitles = {
+    recent: 'Recently updated',
+    stars: 'Most stars',
+    merged: 'Most merged',
+    total: 'Most contributions',
+};
+
+const stateTitles = {
+    all: 'Any state',
+    open: 'Open',
+    closed: 'Closed',
+    merged: 'Merged',
+};
+
+export default class Toolbar extends React.PureComponent {
+    constructor(props) {
+        super(props);
+
+        this.changeSort = this.changeSort.bind(this);
+        this.changeState = this.changeState.bind(this);
+        this.changeLanguage = this.changeLanguage.bind(this);
+        this.changeStars = this.changeStars.bind(this);
+    }
+
+    changeSort(event) {
+        this.props.onChange({sort: event.target.value});
+    }
+
+    changeState(event) {
+        this.props.onChange({state: event.target.value});
+    }
+
+    changeLanguage(event) {
+        this.props.onChange({language: event.target.value || null});
+    }
+
+    changeStars(event) {
+        this.props.onChange({stars: Math.max(parseInt(event.target.value, 10) || 0, 0)});
+    }
+
+    render() {
+        const view = this.props.view;
+
+        // The language from the query string is kept even if it is not known yet.
+        const languages = this.props.languages.slice();
+        if (view.language && !languages.includes(view.language)) {
+            languages.push(view.language);
+        }
+
+        return (
+            <div className="d-flex flex-items-center flex-justify-between f6 mt-3">
+                <select className="form-select select-sm" value={view.sort} onChange={this.changeSort}>
+                    {sorts.map((sort) => <option key={sort} value={sort}>{sortTitles[sort]}</option>)}
+                </select>
+                <select className="form-select select-sm" value={view.state} onChange={this.changeState}>
+                    {states.map((state) => <option key={state} value={state}>{stateTitles[state]}</option>)}
+                </select>
+                <select className="form-select select-sm" value={view.language || ''} onChange={this.changeLanguage}>
+                    <option value="">Any language</option>
+                    {languages.map((language) => <option key={language} value={language}>{language}</option>)}
+                </select>
+                <label className="text-gray text-normal">
+                    At least&nbsp;
+                    <input className="form-control input-sm"
+                        type="number"
+                        min="0"
+                        style={{width: '80px'}}
+                        value={view.stars}
+                        onChange={this.changeStars}
+                    />
+                    &nbsp;stars
+                </label>
+            </div>
+        );
+    }
+}
+
+Toolbar.propTypes = {
+    view: PropTypes.shape({
+        sort: PropTypes.string.isRequired,
+        state: PropTypes.string.isRequired,
+        language: PropTypes.string,
+        stars: PropTypes.number.isRequired,
+    }).isRequired,
+    languages: PropTypes.arrayOf(PropTypes.string).isRequired,
+    onChange: PropTypes.func.isRequired,
+};
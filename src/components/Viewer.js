@@ -0,0 +1,32 @@
+import 'primer-avatars/index.scss';
+
+import React from 'react';
+import PropTypes from 'prop-types';
+
+export default class Viewer extends React.PureComponent {
+    render() {
+        return (
+            <div className="d-inline-flex flex-items-center f6 mr-3">
+                <a className="link-gray-dark no-underline d-inline-flex flex-items-center" href={this.props.viewer.html_url}>
+                    <img className="avatar mr-1"
+                        alt={this.props.viewer.login}
+                        src={this.props.viewer.avatar_url}
+                        height="20"
+                        width="20"
+                    />
+                    {this.props.viewer.login}
+                </a>
+                <button className="btn-link link-gray ml-2" onClick={this.props.onSignOut}>Sign out</button>
+            </div>
+        );
+    }
+}
+
+Viewer.propTypes = {
+    viewer: PropTypes.shape({
+        login: PropTypes.string.isRequired,
+        html_url: PropTypes.string.isRequired,
+        avatar_url: PropTypes.string.isRequired,
+    }).isRequired,
+    onSignOut: PropTypes.func.isRequired,
+};
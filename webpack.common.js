@@ -1,4 +1,5 @@
 const path = require('path');
+const webpack = require('webpack');
 const ExtractTextPlugin = require('extract-text-webpack-plugin');
 
 const extractSass = new ExtractTextPlugin({
@@ -57,5 +58,11 @@ module.exports = {
     },
     plugins: [
         extractSass,
+        // GitHub Enterprise Server instances allowed besides github.com as a JSON list,
+        // e.g. [{"url": "https://github.example.com", "oauthClientID": "...", "oauthGatewayURL": "..."}].
+        new webpack.DefinePlugin({
+            GITHUB_INSTANCE: JSON.stringify(process.env.GITHUB_INSTANCE || 'github.com'),
+            GITHUB_INSTANCES: JSON.stringify(JSON.parse(process.env.GITHUB_INSTANCES || '[]')),
+        }),
     ],
 };
\ No newline at end of file
@@ -12,6 +12,7 @@ module.exports = merge(common, {
         new webpack.DefinePlugin({
             OAUTH_GATEWAY_URL: JSON.stringify('https://3fyst874r0.execute-api.eu-central-1.amazonaws.com/test'),
             OAUTH_CLIENT_ID: JSON.stringify('6054b751fc70c1590231'),
+            CACHE_TTL: JSON.stringify(60 * 1000),
         }),
     ],
 });
\ No newline at end of file
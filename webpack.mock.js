@@ -0,0 +1,23 @@
+// Development against the local mock GitHub API, see mock/server.js.
+// It is served by webpack-dev-server itself, so no network access is needed.
+const merge = require('webpack-merge');
+const {createHandler} = require('./mock/server');
+
+const port = 8080;
+
+// Read by webpack.common.js, so they are set before it is loaded.
+process.env.GITHUB_INSTANCE = 'mock';
+process.env.GITHUB_INSTANCES = JSON.stringify([{
+    name: 'mock',
+    url: `http://localhost:${port}/mock`,
+    graphQLURL: null,
+}]);
+
+const dev = require('./webpack.dev.js');
+
+module.exports = merge(dev, {
+    devServer: {
+        port: port,
+        before: (app) => app.use('/mock', createHandler()),
+    },
+});
@@ -8,6 +8,7 @@ module.exports = merge(common, {
         new webpack.DefinePlugin({
             OAUTH_GATEWAY_URL: JSON.stringify('https://3fyst874r0.execute-api.eu-central-1.amazonaws.com/prod'),
             OAUTH_CLIENT_ID: JSON.stringify('5d3995b225dc40b5601b'),
+            CACHE_TTL: JSON.stringify(60 * 60 * 1000),
         }),
     ],
 });
\ No newline at end of file